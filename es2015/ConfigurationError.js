@@ -0,0 +1,60 @@
+/**
+ * Error thrown by the dependency injector when it is configured in a way that
+ * conflicts with its current configuration or state, for example when an
+ * implementation of an interface is set repeatedly, or when a class is
+ * configured after an instance of it has already been created.
+ */
+export default class ConfigurationError extends Error {
+  /**
+   * Initializes the error.
+   *
+   * @param {string} message The error message.
+   * @param {{
+   *          classConstructor: ?(function(new: Object, ...*)|symbol|string),
+   *          interfaceConstructor: ?(function(new: Object)|symbol|string),
+   *          cause: *
+   *        }=} details The offending class (or provider token) and
+   *        interface, and the original error if the error amends another one.
+   */
+  constructor(
+    message,
+    {classConstructor = null, interfaceConstructor = null, cause = null} = {}
+  ) {
+    super(message)
+
+    /**
+     * The name of this error type.
+     *
+     * @type {string}
+     */
+    this.name = "ConfigurationError"
+
+    /**
+     * The error message.
+     *
+     * @type {string}
+     */
+    this.message = message
+
+    /**
+     * The class or provider token whose configuration failed, if any.
+     *
+     * @type {?(function(new: Object, ...*)|symbol|string)}
+     */
+    this.classConstructor = classConstructor
+
+    /**
+     * The interface whose configuration failed, if any.
+     *
+     * @type {?(function(new: Object)|symbol|string)}
+     */
+    this.interfaceConstructor = interfaceConstructor
+
+    /**
+     * The original error amended by this error, if any.
+     *
+     * @type {*}
+     */
+    this.cause = cause
+  }
+}
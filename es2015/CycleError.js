@@ -0,0 +1,29 @@
+import ResolutionError from "./ResolutionError"
+import {formatPath} from "./resolutionPath"
+
+/**
+ * Error thrown by the dependency injector when it detects a cyclic dependency
+ * while resolving the dependencies of a class.
+ */
+export default class CycleError extends ResolutionError {
+  /**
+   * Initializes the error.
+   *
+   * @param {function(new: Object, ...*)[][]} path The resolution path that
+   *        leads to the cycle. Each element is the implementation chain of a
+   *        class in the path, starting with the requested class or interface
+   *        and ending with the implementing class. The last element refers to
+   *        the same implementation as one of the preceding elements.
+   */
+  constructor(path) {
+    let message = `Detected a dependency cycle: ${formatPath(path)}`
+    super(path, null, message)
+
+    /**
+     * The name of this error type.
+     *
+     * @type {string}
+     */
+    this.name = "CycleError"
+  }
+}
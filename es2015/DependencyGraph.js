@@ -0,0 +1,193 @@
+/**
+ * The shapes of the nodes in the Graphviz DOT output, by the type of the node.
+ *
+ * @type {Object<string, string>}
+ */
+const NODE_SHAPES = Object.freeze({
+  class: "box",
+  interface: "ellipse",
+  factory: "component",
+  value: "note",
+  token: "diamond"
+})
+
+/**
+ * The dependency markers that do not require their target to be resolved
+ * when the dependent class is being instantiated.
+ *
+ * @type {string[]}
+ */
+const DEFERRED_MARKERS = Object.freeze(["lazy", "provider", "optional"])
+
+/**
+ * Description of the configuration of a dependency injector, created by the
+ * {@code describe()} method of the dependency injector.
+ *
+ * Every node of the graph is a class, interface or provider token, and has
+ * the following properties:
+ *
+ * - {@code id} - the identifier of the node, used by the edges.
+ * - {@code name} - the human-readable name of the class, interface or token.
+ * - {@code type} - {@code "class"}, {@code "interface"}, {@code "factory"},
+ *   {@code "value"} or {@code "token"}.
+ * - {@code lifetime} - the lifetime of the instances.
+ * - {@code sharedInstance} - whether a shared instance currently exists.
+ * - {@code dependencySource} - classes only: {@code "configured"},
+ *   {@code "static"} or {@code "none"}.
+ * - {@code implementationChain} - interfaces only: the identifiers of the
+ *   nodes the interface resolves through, starting with the interface itself.
+ *
+ * Every edge of the graph leads {@code from} a node {@code to} another node
+ * and has a {@code type}:
+ *
+ * - {@code "implementation"} - the target implements the source interface.
+ *   Multiple implementations are marked by the {@code multiple} flag, named
+ *   implementations have a {@code name} and contextual implementations have
+ *   the identifier of the {@code consumer} node.
+ * - {@code "dependency"} - the target is the constructor dependency of the
+ *   source class at the specified {@code index}.
+ * - {@code "property"} - the target is injected into the specified
+ *   {@code property} of the source class instances.
+ *
+ * Dependency and property edges specify the type of the dependency
+ * {@code marker} if the dependency is wrapped in one.
+ */
+export default class DependencyGraph {
+  /**
+   * Initializes the dependency graph.
+   *
+   * @param {Object[]} nodes The nodes of the graph.
+   * @param {Object[]} edges The edges of the graph.
+   */
+  constructor(nodes, edges) {
+    /**
+     * The nodes of the graph - the classes, interfaces and provider tokens.
+     *
+     * @type {Object[]}
+     */
+    this.nodes = nodes
+
+    /**
+     * The edges of the graph - the implementations and dependencies.
+     *
+     * @type {Object[]}
+     */
+    this.edges = edges
+
+    Object.freeze(this)
+  }
+
+  /**
+   * Returns the dependency graph as plain data that can be serialized to
+   * JSON.
+   *
+   * @return {{nodes: Object[], edges: Object[]}} The dependency graph as
+   *         plain data.
+   */
+  toJSON() {
+    return {
+      nodes: this.nodes.map(node => Object.assign({}, node)),
+      edges: this.edges.map(edge => Object.assign({}, edge))
+    }
+  }
+
+  /**
+   * Renders the dependency graph in the Graphviz DOT language.
+   *
+   * Interfaces are rendered as ellipses, classes as boxes, factories as
+   * components, values as notes and other provider tokens as diamonds. Nodes
+   * having a shared instance are rendered bold. Implementation edges are
+   * dashed and dependencies that are not resolved when the dependent class
+   * is instantiated (lazy, provider and optional ones) are dotted.
+   *
+   * @return {string} The dependency graph in the DOT language.
+   */
+  toDot() {
+    let lines = ["digraph dependencies {"]
+    for (let node of this.nodes) {
+      let attributes = {
+        label: `${node.name}\n${node.lifetime}`,
+        shape: NODE_SHAPES[node.type]
+      }
+      if (node.sharedInstance) {
+        attributes.style = "bold"
+      }
+      lines.push(`  ${quote(node.id)} ${formatAttributes(attributes)};`)
+    }
+    for (let edge of this.edges) {
+      lines.push(
+        `  ${quote(edge.from)} -> ${quote(edge.to)} ` +
+        `${formatAttributes(describeEdge(edge, this.nodes))};`
+      )
+    }
+    lines.push("}")
+
+    return lines.join("\n")
+  }
+}
+
+/**
+ * Returns the DOT attributes of the provided edge.
+ *
+ * @param {Object} edge The edge of the dependency graph.
+ * @param {Object[]} nodes The nodes of the dependency graph.
+ * @return {Object<string, string>} The DOT attributes of the edge.
+ */
+function describeEdge(edge, nodes) {
+  let label
+  let style = "solid"
+  switch (edge.type) {
+    case "implementation":
+      style = "dashed"
+      label = "implements"
+      if (edge.multiple) {
+        label += " (multiple)"
+      } else if (edge.name !== undefined) {
+        label += ` ${JSON.stringify(edge.name)}`
+      } else if (edge.consumer) {
+        let consumer = nodes.filter(node => node.id === edge.consumer)[0]
+        label += ` for ${consumer.name}`
+      }
+      break
+    case "dependency":
+      label = `#${edge.index}`
+      break
+    default:
+      label = `.${edge.property}`
+      break
+  }
+
+  if (edge.marker) {
+    label += ` (${edge.marker}` +
+        (edge.name !== undefined ? ` ${JSON.stringify(edge.name)})` : ")")
+    if (DEFERRED_MARKERS.indexOf(edge.marker) > -1) {
+      style = "dotted"
+    }
+  }
+
+  return {label, style}
+}
+
+/**
+ * Formats the provided attributes as a DOT attribute list.
+ *
+ * @param {Object<string, string>} attributes The attributes.
+ * @return {string} The DOT attribute list.
+ */
+function formatAttributes(attributes) {
+  let formatted = Object.keys(attributes).map((name) => {
+    return `${name}=${quote(attributes[name])}`
+  })
+
+  return `[${formatted.join(", ")}]`
+}
+
+/**
+ * Quotes the provided string as a DOT identifier.
+ *
+ * @param {string} value The string to quote.
+ * @return {string} The quoted string.
+ */
+function quote(value) {
+  return `"${value.replace(/[\\"]/g, "\\$&").replace(/\n/g, "\\n")}"`
+}
@@ -1,4 +1,22 @@
 
+import ConfigurationError from "./ConfigurationError"
+import {findConformanceProblems} from "./conformance"
+import CycleError from "./CycleError"
+import DependencyGraph from "./DependencyGraph"
+import DependencyMarker, {MarkerType} from "./DependencyMarker"
+import DisposalError from "./DisposalError"
+import {
+  getDeclaredDependencies,
+  getDeclaredImplementation,
+  getDeclaredLifetime
+} from "./decorators"
+import {createInterceptionProxy} from "./interception"
+import Lifetime from "./Lifetime"
+import {parseManifest} from "./manifest"
+import ProblemType from "./ProblemType"
+import ResolutionError from "./ResolutionError"
+import {describeToken, formatPath} from "./resolutionPath"
+
 /**
  * The default name of the getter/property this dependency injector uses to
  * retrieve the default dependencies of a class.
@@ -7,22 +25,283 @@
  */
 const DEFAULT_DEPENDENCY_GETTER_NAME = "dependencies"
 
+/**
+ * The default name of the getter/property this dependency injector uses to
+ * retrieve the property dependencies of a class.
+ *
+ * @type {string}
+ */
+const DEFAULT_PROPERTY_DEPENDENCY_GETTER_NAME = "injectProperties"
+
+/**
+ * The default name of the instance method this dependency injector invokes
+ * once all dependencies of a created instance have been injected.
+ *
+ * @type {string}
+ */
+const DEFAULT_POST_CONSTRUCT_METHOD_NAME = "postConstruct"
+
+/**
+ * The default name of the instance method this dependency injector invokes to
+ * dispose the shared instances it created.
+ *
+ * @type {string}
+ */
+const DEFAULT_DISPOSE_METHOD_NAME = "dispose"
+
+/**
+ * The name of the optional instance method the dependency injector invokes
+ * to asynchronously initialize instances created using the
+ * {@linkcode getAsync} and {@linkcode createAsync} methods.
+ *
+ * @type {string}
+ */
+const ASYNC_INITIALIZER_NAME = "initializeAsync"
+
+/**
+ * The sources of the dependencies of a class.
+ *
+ * @enum {string}
+ */
+const DependencySource = Object.freeze({
+  CONFIGURED: "configured",
+  STATIC: "static",
+  NONE: "none"
+})
+
+/**
+ * Returns the current high-resolution time in milliseconds, or the current
+ * time if the high-resolution time is not available.
+ *
+ * @return {number} The current time in milliseconds.
+ */
+function now() {
+  if ((typeof performance !== "undefined") && performance.now) {
+    return performance.now()
+  }
+
+  return Date.now()
+}
+
+/**
+ * Returns a human-readable name of the provided module.
+ *
+ * @param {*} module The module.
+ * @return {string} The name of the module.
+ */
+function describeModule(module) {
+  if (module && (typeof module.name === "string") && module.name) {
+    return module.name
+  }
+
+  return (module instanceof Object) ? "<anonymous module>" : String(module)
+}
+
+/**
+ * Maps the provided values using the callback, which may return promises. If
+ * the callback throws, the promises it has already returned are marked as
+ * handled before the error is rethrown, so that their rejections are not
+ * reported as unhandled.
+ *
+ * @template T, R
+ * @param {T[]} values The values to map.
+ * @param {function(T): (R|Promise<R>)} callback The mapping callback.
+ * @return {(R|Promise<R>)[]} The results of the callback.
+ */
+function mapToPromises(values, callback) {
+  let results = []
+  try {
+    values.forEach((value) => {
+      results.push(callback(value))
+    })
+  } catch (error) {
+    results.forEach((result) => {
+      Promise.resolve(result).catch(() => {
+        // the synchronous error is reported instead
+      })
+    })
+    throw error
+  }
+
+  return results
+}
+
+/**
+ * The property marking the asynchronous contexts created by the
+ * {@linkcode createSynchronousContext} function.
+ *
+ * @type {symbol}
+ */
+const SYNCHRONOUS_CONTEXT = Symbol("synchronousContext")
+
+/**
+ * Tests whether the provided function is a native async function.
+ *
+ * @param {function(...*): *} func The function to test.
+ * @return {boolean} {@code true} if the function is an async function.
+ */
+function isAsyncFunction(func) {
+  return !!func.constructor && (func.constructor.name === "AsyncFunction")
+}
+
+/**
+ * Creates an asynchronous context tracking the stored value only during the
+ * synchronous execution of the callbacks passed to its {@code run} method.
+ * The context is used when no asynchronous context (such as the
+ * {@code AsyncLocalStorage} in Node.js) is provided to the dependency
+ * injector.
+ *
+ * @return {{run: function(*, function(): *): *, getStore: function(): *}}
+ *         The created context.
+ */
+function createSynchronousContext() {
+  let stores = []
+  return {
+    run(store, callback) {
+      stores.push(store)
+      try {
+        return callback()
+      } finally {
+        stores.pop()
+      }
+    },
+
+    getStore() {
+      return stores[stores.length - 1]
+    },
+
+    [SYNCHRONOUS_CONTEXT]: true
+  }
+}
+
 /**
  * Private fields and methods.
  */
 const PRIVATE  = Object.freeze({
   // fields
+  parent: Symbol("parent"),
+  logger: Symbol("logger"),
+  listeners: Symbol("listeners"),
+  isScope: Symbol("isScope"),
+  checkImplementations: Symbol("checkImplementations"),
+  profiles: Symbol("profiles"),
+  strict: Symbol("strict"),
+  asyncContext: Symbol("asyncContext"),
   dependenciesGetterName: Symbol("dependenciesGetterName"),
   dependenciesGetterNameChanged: Symbol("dependenciesGetterNameChanged"),
+  propertyDependenciesGetterName: Symbol("propertyDependenciesGetterName"),
+  postConstructMethodName: Symbol("postConstructMethodName"),
+  disposeMethodName: Symbol("disposeMethodName"),
   dependencies: Symbol("dependencies"),
   implementations: Symbol("implementations"),
+  multiImplementations: Symbol("multiImplementations"),
+  namedImplementations: Symbol("namedImplementations"),
+  contextualImplementations: Symbol("contextualImplementations"),
+  profileImplementations: Symbol("profileImplementations"),
+  providers: Symbol("providers"),
+  lifetimes: Symbol("lifetimes"),
+  interfaces: Symbol("interfaces"),
+  interceptors: Symbol("interceptors"),
   instances: Symbol("instances"),
   instantiatedClasses: Symbol("instantiatedClasses"),
+  dependents: Symbol("dependents"),
+  snapshots: Symbol("snapshots"),
+  providerPaths: Symbol("providerPaths"),
+  installedModules: Symbol("installedModules"),
+  installingModules: Symbol("installingModules"),
+  bindingOwners: Symbol("bindingOwners"),
 
-  // method
-  getImplementation: Symbol("getImplementation")
+  // methods
+  get: Symbol("get"),
+  create: Symbol("create"),
+  getAsync: Symbol("getAsync"),
+  createAsync: Symbol("createAsync"),
+  extendPath: Symbol("extendPath"),
+  getDependencies: Symbol("getDependencies"),
+  getActiveScope: Symbol("getActiveScope"),
+  getProviderPath: Symbol("getProviderPath"),
+  emitCreationRequest: Symbol("emitCreationRequest"),
+  trackDependents: Symbol("trackDependents"),
+  getDeclaredDependencies: Symbol("getDeclaredDependencies"),
+  describeNode: Symbol("describeNode"),
+  collectKeys: Symbol("collectKeys"),
+  getPropertyDependencies: Symbol("getPropertyDependencies"),
+  postConstruct: Symbol("postConstruct"),
+  isToken: Symbol("isToken"),
+  isRegistered: Symbol("isRegistered"),
+  resolveDependency: Symbol("resolveDependency"),
+  applyContext: Symbol("applyContext"),
+  getNamedImplementation: Symbol("getNamedImplementation"),
+  setNestedBinding: Symbol("setNestedBinding"),
+  checkConformance: Symbol("checkConformance"),
+  registerProvider: Symbol("registerProvider"),
+  addInterceptor: Symbol("addInterceptor"),
+  applyInterceptors: Symbol("applyInterceptors"),
+  getImplementation: Symbol("getImplementation"),
+  getImplementationChain: Symbol("getImplementationChain"),
+  getDirectImplementation: Symbol("getDirectImplementation"),
+  getProfileImplementation: Symbol("getProfileImplementation"),
+  bind: Symbol("bind"),
+  findBindingOwner: Symbol("findBindingOwner"),
+  getAllImplementations: Symbol("getAllImplementations"),
+  findRegistry: Symbol("findRegistry"),
+  findNestedRegistry: Symbol("findNestedRegistry"),
+  getLifetime: Symbol("getLifetime"),
+  getInstanceOwner: Symbol("getInstanceOwner"),
+  hasUnmatchedProfiles: Symbol("hasUnmatchedProfiles"),
+  describeUnmatchedProfiles: Symbol("describeUnmatchedProfiles"),
+  hasOwnBinding: Symbol("hasOwnBinding"),
+  resolvesChain: Symbol("resolvesChain"),
+  takeInstances: Symbol("takeInstances"),
+  dispose: Symbol("dispose"),
+  provide: Symbol("provide"),
+  addListener: Symbol("addListener"),
+  emit: Symbol("emit"),
+  warn: Symbol("warn"),
+  disposeInstances: Symbol("disposeInstances"),
+  captureState: Symbol("captureState"),
+  restoreState: Symbol("restoreState"),
+  revertToState: Symbol("revertToState")
 })
 
+/**
+ * The registries included in the snapshots of the dependency injector state.
+ *
+ * @type {symbol[]}
+ */
+const SNAPSHOT_REGISTRIES = Object.freeze([
+  PRIVATE.dependencies,
+  PRIVATE.implementations,
+  PRIVATE.multiImplementations,
+  PRIVATE.namedImplementations,
+  PRIVATE.contextualImplementations,
+  PRIVATE.profileImplementations,
+  PRIVATE.providers,
+  PRIVATE.lifetimes,
+  PRIVATE.interfaces,
+  PRIVATE.interceptors,
+  PRIVATE.instances,
+  PRIVATE.instantiatedClasses,
+  PRIVATE.dependents,
+  PRIVATE.installedModules,
+  PRIVATE.bindingOwners
+])
+
+/**
+ * The fields included in the snapshots of the dependency injector state.
+ *
+ * @type {symbol[]}
+ */
+const SNAPSHOT_FIELDS = Object.freeze([
+  PRIVATE.dependenciesGetterName,
+  PRIVATE.dependenciesGetterNameChanged,
+  PRIVATE.propertyDependenciesGetterName,
+  PRIVATE.postConstructMethodName,
+  PRIVATE.disposeMethodName
+])
+
+export {ConfigurationError, CycleError, DisposalError, ResolutionError}
+
 /**
  * Dependency injector with support for interfaces, both default and custom
  * dependencies and dependencies specified by classes.
@@ -30,15 +309,141 @@ const PRIVATE  = Object.freeze({
 export default class DependencyInjector {
   /**
    * Initializes the dependency injector.
+   *
+   * @param {{
+   *          parent: ?DependencyInjector,
+   *          scope: boolean,
+   *          checkImplementations: boolean,
+   *          logger: {warn: function(string)},
+   *          profiles: string[],
+   *          strict: boolean,
+   *          asyncContext: {
+   *            run: function(*, function(): *),
+   *            getStore: function()
+   *          }
+   *        }=} options The dependency injector options. The {@code parent}
+   *        option specifies the parent dependency injector to fall back to,
+   *        see the {@linkcode createChild} method. The {@code scope} flag
+   *        marks the dependency injector as a scope, see the
+   *        {@linkcode createScope} method. The {@code checkImplementations}
+   *        flag enables checking the conformance of the interface
+   *        implementations to their interfaces, see the
+   *        {@linkcode setImplementation} method; child dependency injectors
+   *        inherit the flag from their parent. The {@code logger} receives
+   *        the warnings of the dependency injector (see the
+   *        {@linkcode onWarning} method), the {@code console} is used by
+   *        default; child dependency injectors inherit the logger from their
+   *        parent. The {@code profiles} are the names of the active
+   *        environment profiles selecting the implementations bound to
+   *        profiles (see the {@linkcode setImplementation} method); child
+   *        dependency injectors inherit the profiles from their parent.
+   *        The {@code strict} flag makes creating an instance of a class
+   *        that has no dependencies provided, configured or declared fail
+   *        with a {@code ResolutionError} instead of issuing a warning; child
+   *        dependency injectors inherit the flag from their parent. The
+   *        {@code asyncContext} (for example an {@code AsyncLocalStorage} in
+   *        Node.js) tracks the scopes created by the {@linkcode runInScope}
+   *        method across asynchronous calls; child dependency injectors
+   *        inherit the context from their parent.
    */
-  constructor() {
+  constructor({
+    parent = null,
+    scope = false,
+    checkImplementations =
+        parent ? parent[PRIVATE.checkImplementations] : false,
+    logger = parent ? parent[PRIVATE.logger] : console,
+    profiles = parent ? parent[PRIVATE.profiles] : [],
+    strict = parent ? parent[PRIVATE.strict] : false,
+    asyncContext = parent ?
+        parent[PRIVATE.asyncContext] : createSynchronousContext()
+  } = {}) {
+    if (
+      !(profiles instanceof Array) ||
+      profiles.some(profile => typeof profile !== "string")
+    ) {
+      throw new TypeError("The profiles must be an array of strings")
+    }
+    if (
+      !asyncContext ||
+      !(asyncContext.run instanceof Function) ||
+      !(asyncContext.getStore instanceof Function)
+    ) {
+      throw new TypeError("The asynchronous context must have the run() and " +
+          "getStore() methods")
+    }
+
+    /**
+     * The parent dependency injector, used as a fallback source of
+     * dependencies, implementations and shared instances.
+     *
+     * @type {?DependencyInjector}
+     */
+    this[PRIVATE.parent] = parent
+
+    /**
+     * The logger receiving the warnings of this dependency injector.
+     *
+     * @type {{warn: function(string)}}
+     */
+    this[PRIVATE.logger] = logger
+
+    /**
+     * Map of the event names to the listeners registered for the events in
+     * this dependency injector.
+     *
+     * @type {Map<string, function(Object)[]>}
+     */
+    this[PRIVATE.listeners] = new Map()
+
+    /**
+     * Flag signalling whether this dependency injector is a scope holding
+     * the instances of classes with the scoped lifetime.
+     *
+     * @type {boolean}
+     */
+    this[PRIVATE.isScope] = scope
+
+    /**
+     * Flag signalling whether this dependency injector checks that the
+     * interface implementations provide all members of their interfaces.
+     *
+     * @type {boolean}
+     */
+    this[PRIVATE.checkImplementations] = checkImplementations
+
+    /**
+     * The names of the active environment profiles.
+     *
+     * @type {string[]}
+     */
+    this[PRIVATE.profiles] = Object.freeze(profiles.slice())
+
+    /**
+     * Flag signalling whether this dependency injector fails to create
+     * instances of the classes that have no dependencies provided,
+     * configured or declared, instead of issuing a warning.
+     *
+     * @type {boolean}
+     */
+    this[PRIVATE.strict] = strict
+
+    /**
+     * The asynchronous context tracking the scopes created by the
+     * {@linkcode runInScope} method.
+     *
+     * @type {{run: function(*, function(): *), getStore: function()}}
+     */
+    this[PRIVATE.asyncContext] = asyncContext
+
     /**
      * The name of the getter/property this dependency injector uses to
-     * retrieve the default dependencies of a class.
+     * retrieve the default dependencies of a class. Child dependency injectors
+     * start with the name currently used by their parent.
      *
      * @type {string}
      */
-    this[PRIVATE.dependenciesGetterName] = DEFAULT_DEPENDENCY_GETTER_NAME
+    this[PRIVATE.dependenciesGetterName] = parent ?
+        parent.dependenciesPropertyName : DEFAULT_DEPENDENCY_GETTER_NAME
 
     /**
      * Flag signalling whether the name of the getter/property this dependency
@@ -49,6 +454,38 @@ export default class DependencyInjector {
      */
     this[PRIVATE.dependenciesGetterNameChanged] = false
 
+    /**
+     * The name of the getter/property this dependency injector uses to
+     * retrieve the property dependencies of a class. Child dependency
+     * injectors start with the name currently used by their parent.
+     *
+     * @type {string}
+     */
+    this[PRIVATE.propertyDependenciesGetterName] = parent ?
+        parent.propertyDependenciesPropertyName :
+        DEFAULT_PROPERTY_DEPENDENCY_GETTER_NAME
+
+    /**
+     * The name of the instance method this dependency injector invokes once
+     * all dependencies of a created instance have been injected. Child
+     * dependency injectors start with the name currently used by their
+     * parent.
+     *
+     * @type {string}
+     */
+    this[PRIVATE.postConstructMethodName] = parent ?
+        parent.postConstructMethodName : DEFAULT_POST_CONSTRUCT_METHOD_NAME
+
+    /**
+     * The name of the instance method this dependency injector invokes to
+     * dispose the shared instances it created. Child dependency injectors
+     * start with the name currently used by their parent.
+     *
+     * @type {string}
+     */
+    this[PRIVATE.disposeMethodName] = parent ?
+        parent.disposeMethodName : DEFAULT_DISPOSE_METHOD_NAME
+
     /**
      * Storage of custom default dependencies for classes.
      *
@@ -64,6 +501,76 @@ export default class DependencyInjector {
      */
     this[PRIVATE.implementations] = new Map()
 
+    /**
+     * Map of interfaces to the maps of names to the named implementations of
+     * the interfaces.
+     *
+     * @type {Map<*, Map<string, *>>}
+     */
+    this[PRIVATE.namedImplementations] = new Map()
+
+    /**
+     * Map of consumer classes to the maps of interfaces to the
+     * implementations to use when the interfaces are dependencies of the
+     * consumer classes.
+     *
+     * @type {Map<function(new: Object, ...*), Map<*, *>>}
+     */
+    this[PRIVATE.contextualImplementations] = new Map()
+
+    /**
+     * Map of interfaces to the implementations bound to the environment
+     * profiles (the {@code implementation} and its {@code profile} name or
+     * predicate), in the order in which they have been set.
+     *
+     * @type {Map<*, Object[]>}
+     */
+    this[PRIVATE.profileImplementations] = new Map()
+
+    /**
+     * Map of interfaces to the implementations added to them using the
+     * {@linkcode addImplementation} method, in the order in which they have
+     * been added.
+     *
+     * @type {Map<*, {implementation: *, priority: number}[]>}
+     */
+    this[PRIVATE.multiImplementations] = new Map()
+
+    /**
+     * Map of provider tokens (classes, symbols or strings) to the factory and
+     * value providers registered for them. A factory provider is represented
+     * as {@code {factory: function(DependencyInjector): *}}, a value provider
+     * is represented as {@code {value: *}}.
+     *
+     * @type {Map<*, ({factory: function(DependencyInjector): *}|{value: *})>}
+     */
+    this[PRIVATE.providers] = new Map()
+
+    /**
+     * Map of classes and provider tokens to the lifetimes of their instances.
+     * Classes and tokens without a configured lifetime are singletons.
+     *
+     * @type {Map<(function(new: Object, ...*)|symbol|string), Lifetime>}
+     */
+    this[PRIVATE.lifetimes] = new Map()
+
+    /**
+     * Set of classes declared as interfaces. Resolving a declared interface
+     * that has no implementation results in an error.
+     *
+     * @type {Set<function(new: Object)>}
+     */
+    this[PRIVATE.interfaces] = new Set()
+
+    /**
+     * The interceptors registered in this dependency injector, in the order
+     * of their registration, together with the predicates testing the
+     * implementation chains of the instances the interceptors apply to.
+     *
+     * @type {{matches: function(*[]): boolean, interceptor: Function}[]}
+     */
+    this[PRIVATE.interceptors] = []
+
     /**
      * The created shared instances.
      *
@@ -80,17 +587,232 @@ export default class DependencyInjector {
      */
     this[PRIVATE.instantiatedClasses] = new Set()
 
+    /**
+     * Map of the classes (and provider tokens) resolved by this dependency
+     * injector to the classes that were being created when they were
+     * resolved, and therefore (transitively) received them as dependencies.
+     *
+     * @type {Map<*, Set<*>>}
+     */
+    this[PRIVATE.dependents] = new Map()
+
+    /**
+     * The stack of the snapshots of the state of this dependency injector
+     * taken using the {@linkcode snapshot} method, the most recent snapshot
+     * being the last one.
+     *
+     * @type {Object[]}
+     */
+    this[PRIVATE.snapshots] = []
+
+    /**
+     * The resolution paths of the instances currently being provided by the
+     * factories of this dependency injector, the innermost one being the
+     * last one. The instances the factories request from this dependency
+     * injector are resolved as their dependencies.
+     *
+     * @type {function(new: Object, ...*)[][][]}
+     */
+    this[PRIVATE.providerPaths] = []
+
+    /**
+     * The modules installed in this dependency injector.
+     *
+     * @type {Set<Object>}
+     */
+    this[PRIVATE.installedModules] = new Set()
+
+    /**
+     * The stack of the modules that are currently being installed, the
+     * module whose bindings are being registered being the last one.
+     *
+     * @type {Object[]}
+     */
+    this[PRIVATE.installingModules] = []
+
+    /**
+     * Map of the classes, interfaces and provider tokens bound by the
+     * installed modules to the maps of the kinds of their bindings to the
+     * modules that registered them.
+     *
+     * @type {Map<*, Map<string, Object>>}
+     */
+    this[PRIVATE.bindingOwners] = new Map()
+
     ;[
+      PRIVATE.parent,
+      PRIVATE.logger,
+      PRIVATE.listeners,
+      PRIVATE.isScope,
+      PRIVATE.checkImplementations,
+      PRIVATE.profiles,
+      PRIVATE.strict,
+      PRIVATE.asyncContext,
       PRIVATE.dependencies,
       PRIVATE.implementations,
+      PRIVATE.multiImplementations,
+      PRIVATE.namedImplementations,
+      PRIVATE.contextualImplementations,
+      PRIVATE.profileImplementations,
+      PRIVATE.providers,
+      PRIVATE.lifetimes,
+      PRIVATE.interfaces,
+      PRIVATE.interceptors,
       PRIVATE.instances,
-      PRIVATE.instantiatedClasses
+      PRIVATE.instantiatedClasses,
+      PRIVATE.dependents,
+      PRIVATE.snapshots,
+      PRIVATE.providerPaths,
+      PRIVATE.installedModules,
+      PRIVATE.installingModules,
+      PRIVATE.bindingOwners
     ].forEach(property => Object.defineProperty(this, property, {
       writable: false
     }))
     Object.seal(this)
   }
 
+  /**
+   * Marks the provided value to be injected as-is, without being resolved by
+   * the dependency injector. This allows injecting functions (for example
+   * callbacks) and registered symbol or string tokens literally.
+   *
+   * The marker can be used in the dependencies passed to the
+   * {@linkcode configure}, {@linkcode create} and {@linkcode createAsync}
+   * methods, and in the default dependencies specified by a class.
+   *
+   * @param {*} value The value to inject.
+   * @return {DependencyMarker} The dependency marker.
+   */
+  static value(value) {
+    return new DependencyMarker(MarkerType.VALUE, value)
+  }
+
+  /**
+   * Marks the provided class to be injected as a class reference, instead of
+   * being resolved to its shared instance.
+   *
+   * The marker can be used in the same places as the {@linkcode value}
+   * marker.
+   *
+   * @param {function(new: Object, ...*)} classConstructor The class to inject.
+   * @return {DependencyMarker} The dependency marker.
+   */
+  static classRef(classConstructor) {
+    if (!(classConstructor instanceof Function)) {
+      throw new TypeError("The class reference must be a class, " +
+          `${typeof classConstructor} provided`)
+    }
+
+    return new DependencyMarker(MarkerType.CLASS_REF, classConstructor)
+  }
+
+  /**
+   * Marks the provided class, interface or provider token to be injected
+   * lazily. The class constructor receives a function that returns the shared
+   * instance of the class (see the {@linkcode get} method). The instance is
+   * resolved when the function is called for the first time, and the same
+   * instance is returned by all subsequent calls. The interface
+   * implementations are resolved at the time of the first call.
+   *
+   * The marker can be used in the same places as the {@linkcode value}
+   * marker.
+   *
+   * @template T
+   * @param {(function(new: T, ...*)|symbol|string)} token The class,
+   *        interface or provider token to inject lazily.
+   * @return {DependencyMarker} The dependency marker.
+   */
+  static lazy(token) {
+    return new DependencyMarker(MarkerType.LAZY, token)
+  }
+
+  /**
+   * Marks the provided class, interface or provider token to be injected as
+   * a provider of new instances. The class constructor receives a function
+   * that creates a new instance of the class (see the {@linkcode create}
+   * method) every time it is called. The interface implementations are
+   * resolved at the time of each call.
+   *
+   * The marker can be used in the same places as the {@linkcode value}
+   * marker.
+   *
+   * @template T
+   * @param {(function(new: T, ...*)|symbol|string)} token The class,
+   *        interface or provider token to inject a provider of.
+   * @return {DependencyMarker} The dependency marker.
+   */
+  static provider(token) {
+    return new DependencyMarker(MarkerType.PROVIDER, token)
+  }
+
+  /**
+   * Marks the provided class, interface or provider token as an optional
+   * dependency. If the dependency is registered in the dependency injector,
+   * it is resolved the same way as it would be without the marker, otherwise
+   * the fallback value is injected.
+   *
+   * A dependency is considered registered if it is an interface with a
+   * configured implementation, a provider token with a registered factory or
+   * value, a class with configured dependencies or default dependencies
+   * specified by the class, or a class that already has a shared instance.
+   *
+   * The marker can be used in the same places as the {@linkcode value}
+   * marker.
+   *
+   * @template T
+   * @param {(function(new: T, ...*)|symbol|string)} token The class,
+   *        interface or provider token to inject if registered.
+   * @param {*=} fallback The value to inject if the dependency is not
+   *        registered.
+   * @return {DependencyMarker} The dependency marker.
+   */
+  static optional(token, fallback = undefined) {
+    return new DependencyMarker(MarkerType.OPTIONAL, token, {fallback})
+  }
+
+  /**
+   * Marks the provided interface to be injected as an array of the shared
+   * instances of all implementations added to the interface using the
+   * {@linkcode addImplementation} method (see the {@linkcode getAll}
+   * method).
+   *
+   * The marker can be used in the same places as the {@linkcode value}
+   * marker.
+   *
+   * @param {(function(new: Object)|symbol|string)} interfaceConstructor The
+   *        interface.
+   * @return {DependencyMarker} The dependency marker.
+   */
+  static all(interfaceConstructor) {
+    return new DependencyMarker(MarkerType.ALL, interfaceConstructor)
+  }
+
+  /**
+   * Marks the provided interface to be injected using its implementation
+   * registered under the specified name (see the
+   * {@linkcode setImplementation} method). Resolving the marker fails if
+   * there is no implementation of the interface with the specified name.
+   *
+   * The marker can be used in the same places as the {@linkcode value}
+   * marker.
+   *
+   * @param {(function(new: Object)|symbol|string)} interfaceConstructor The
+   *        interface.
+   * @param {string} name The name of the implementation.
+   * @return {DependencyMarker} The dependency marker.
+   */
+  static named(interfaceConstructor, name) {
+    if (typeof name !== "string") {
+      throw new TypeError("The name of the implementation must be a " +
+          `string, ${typeof name} provided`)
+    }
+
+    return new DependencyMarker(MarkerType.NAMED, interfaceConstructor, {
+      name
+    })
+  }
+
   /**
    * Returns a shared instance of the specified class or interface.
    *
@@ -103,23 +825,46 @@ export default class DependencyInjector {
    * implementing class and use the class instead.
    *
    * @template T
-   * @param {function(new: T, ...*)} classConstructor The class constructor, or
-   *        interface, of which the dependency injector should create an
-   *        instance. The dependency injector will use the configured
-   *        implementing class if an interface is provided.
+   * @param {(function(new: T, ...*)|symbol|string)} classConstructor The
+   *        class constructor, interface, or provider token, of which the
+   *        dependency injector should create an instance. The dependency
+   *        injector will use the configured implementing class if an
+   *        interface is provided.
    * @return {T} The shared instance of the specified class or interface.
+   * @throws {CycleError} Thrown if the dependencies of the class form a
+   *         cycle.
+   * @throws {ResolutionError} Thrown if the class or any of its dependencies
+   *         cannot be resolved. Unlike the {@linkcode getAsync} method, the
+   *         errors thrown by the class constructors, factories and
+   *         post-construct methods are propagated as they are.
    */
   get(classConstructor) {
-    let implementation = this[PRIVATE.getImplementation](classConstructor)
-
-    if (this[PRIVATE.instances].has(implementation)) {
-      return this[PRIVATE.instances].get(implementation)
-    }
-
-    let instance = this.create(implementation)
-    this[PRIVATE.instances].set(implementation, instance)
+    let path = this[PRIVATE.getProviderPath]()
+    return this[PRIVATE.getActiveScope]()[PRIVATE.get](classConstructor, path)
+  }
 
-    return instance
+  /**
+   * Returns the shared instances of all implementations added to the
+   * specified interface using the {@linkcode addImplementation} method. The
+   * instances are ordered by the priority of their implementations (highest
+   * first), the implementations of the same priority are ordered by the order
+   * in which they have been added (the implementations added to the parent
+   * dependency injector come first).
+   *
+   * The implementations are resolved using the {@linkcode get} method, so
+   * their lifetimes are respected.
+   *
+   * @param {(function(new: Object)|symbol|string)} interfaceConstructor The
+   *        interface.
+   * @return {Object[]} The instances of the implementations of the
+   *         interface. The array is empty if there are no implementations.
+   */
+  getAll(interfaceConstructor) {
+    let injector = this[PRIVATE.getActiveScope]()
+    let path = this[PRIVATE.getProviderPath]()
+    return injector[PRIVATE.getAllImplementations](interfaceConstructor).map(
+      implementation => injector[PRIVATE.get](implementation, path)
+    )
   }
 
   /**
@@ -131,55 +876,283 @@ export default class DependencyInjector {
    * implementing class and use the class instead.
    *
    * @template T
-   * @param {function(new: T, ...*)} classConstructor The class constructor, or
-   *        interface, of which the dependency injector should create an
-   *        instance. The dependency injector will use the configured
-   *        implementing class if an interface is provided.
+   * @param {(function(new: T, ...*)|symbol|string)} classConstructor The
+   *        class constructor, interface, or provider token, of which the
+   *        dependency injector should create an instance. The dependency
+   *        injector will use the configured implementing class if an
+   *        interface is provided.
    * @param {...(function(new: Object, ...*)|*)} dependencies The dependencies
    *        to pass to the class constructor. The constructor will receive
    *        shared instances of specified classes and interfaces. The
    *        non-function values are passed in without modification.
    * @return {T} The created instance.
+   * @throws {CycleError} Thrown if the dependencies of the class form a
+   *         cycle.
+   * @throws {ResolutionError} Thrown if the class or any of its dependencies
+   *         cannot be resolved. Unlike the {@linkcode createAsync} method,
+   *         the errors thrown by the class constructors, factories and
+   *         post-construct methods are propagated as they are.
    */
   create(classConstructor, ...dependencies) {
-    let implementation = this[PRIVATE.getImplementation](classConstructor)
+    let injector = this[PRIVATE.getActiveScope]()
+    let path = this[PRIVATE.getProviderPath]()
+    injector[PRIVATE.emitCreationRequest](classConstructor, path)
+    return injector[PRIVATE.create](classConstructor, dependencies, path)
+  }
 
-    if (!dependencies.length) {
-      if (this[PRIVATE.dependencies].has(implementation)) {
-        dependencies = this[PRIVATE.dependencies].get(implementation)
-      }
+  /**
+   * Returns a promise of a shared instance of the specified class or
+   * interface. This is the asynchronous counterpart of the {@linkcode get}
+   * method.
+   *
+   * The dependencies of the class are resolved using this method, and
+   * dependencies that are promises are waited for before being passed to the
+   * class constructor or injected into the instance properties. The promise
+   * returned by the post-construct method (see the
+   * {@linkcode postConstructMethodName} property) is waited for as well. If
+   * the created instance has the {@code initializeAsync()} method, the method
+   * is invoked afterwards and the instance is considered ready once the
+   * promise it returns resolves.
+   *
+   * The promise of the instance is stored in the registry of shared instances
+   * until the instance is ready, so concurrent calls share a single
+   * initialization of the instance. Note that the {@linkcode get} method
+   * returns this promise if it is called before the instance is ready.
+   *
+   * @template T
+   * @param {(function(new: T, ...*)|symbol|string)} classConstructor The
+   *        class constructor, interface, or provider token, of which the
+   *        dependency injector should provide the shared instance.
+   * @return {Promise<T>} A promise that resolves to the shared instance of
+   *         the specified class or interface. The promise rejects with a
+   *         {@code CycleError} if the dependencies of the class form a cycle,
+   *         or with a {@code ResolutionError} describing the resolution path
+   *         of the class that failed to be created.
+   */
+  getAsync(classConstructor) {
+    return new Promise((resolve) => {
+      let injector = this[PRIVATE.getActiveScope]()
+      let path = this[PRIVATE.getProviderPath]()
+      resolve(injector[PRIVATE.getAsync](classConstructor, path))
+    })
+  }
+
+  /**
+   * Creates a new instance of the specified class or interface
+   * asynchronously. This is the asynchronous counterpart of the
+   * {@linkcode create} method, see the {@linkcode getAsync} method for
+   * details on how the dependencies are resolved.
+   *
+   * @template T
+   * @param {(function(new: T, ...*)|symbol|string)} classConstructor The
+   *        class constructor, interface, or provider token, of which the
+   *        dependency injector should create an instance.
+   * @param {...(function(new: Object, ...*)|*)} dependencies The dependencies
+   *        to pass to the class constructor. The constructor will receive
+   *        shared instances of specified classes and interfaces and the
+   *        resolved values of promises. The other values are passed in
+   *        without modification.
+   * @return {Promise<T>} A promise that resolves to the created instance. The
+   *         promise rejects with a {@code CycleError} if the dependencies of
+   *         the class form a cycle, or with a {@code ResolutionError}
+   *         describing the resolution path of the class that failed to be
+   *         created.
+   */
+  createAsync(classConstructor, ...dependencies) {
+    return new Promise((resolve) => {
+      let injector = this[PRIVATE.getActiveScope]()
+      let path = this[PRIVATE.getProviderPath]()
+      injector[PRIVATE.emitCreationRequest](classConstructor, path)
+      resolve(injector[PRIVATE.createAsync](classConstructor, dependencies,
+          path))
+    })
+  }
+
+  /**
+   * Creates a new child dependency injector of this dependency injector.
+   *
+   * The child dependency injector falls back to this dependency injector for
+   * the configured dependencies, interface implementations and shared
+   * instances it does not know itself. Any configuration done on the child
+   * dependency injector, including configuration overriding the
+   * configuration of this dependency injector, affects only the child
+   * dependency injector.
+   *
+   * A shared instance is created and held by the nearest dependency injector
+   * that binds it (configures it, provides it, sets its implementation or
+   * lifetime, ...), and its dependencies are resolved by that dependency
+   * injector, so the sibling child dependency injectors share the instances
+   * bound in their parent. The shared instances of the classes bound by no
+   * dependency injector are held by the root dependency injector. The shared
+   * instances of the bindings of the child dependency injector are kept in
+   * its own instance registry.
+   *
+   * @return {DependencyInjector} The created child dependency injector.
+   */
+  createChild() {
+    return new DependencyInjector({
+      parent: this
+    })
+  }
+
+  /**
+   * Creates a new scope of this dependency injector. A scope is a child
+   * dependency injector (see the {@linkcode createChild} method) that holds
+   * the instances of the classes that have the scoped lifetime - there is a
+   * single such instance per scope.
+   *
+   * The singletons requested from the scope are provided by its ancestors
+   * (see the {@linkcode createChild} method), unless the scope itself
+   * configures them (e.g. registers a value or an implementation of an
+   * interface) - the scope holds such instances itself. The instances held
+   * by the scope can be disposed using its {@linkcode clear} or
+   * {@linkcode clearAsync} method.
+   *
+   * @return {DependencyInjector} The created scope.
+   */
+  createScope() {
+    return new DependencyInjector({
+      parent: this,
+      scope: true
+    })
+  }
+
+  /**
+   * Runs the provided callback in a new scope of this dependency injector
+   * (see the {@linkcode createScope} method), for example to handle a single
+   * HTTP request. While the callback runs, the instances requested from this
+   * dependency injector using the {@linkcode get}, {@linkcode getAll},
+   * {@linkcode create}, {@linkcode getAsync} and {@linkcode createAsync}
+   * methods are resolved by the scope - the classes with the scoped lifetime
+   * have a single instance per scope, while the singletons are still
+   * provided by this dependency injector (or its ancestors).
+   *
+   * The scope is tracked using the asynchronous context provided by the
+   * {@code asyncContext} constructor option (for example an
+   * {@code AsyncLocalStorage} in Node.js), so it is available for the whole
+   * asynchronous call chain of the callback. Without it, the scope is
+   * available only until the callback returns, therefore the callback must
+   * not return a promise.
+   *
+   * The instances held by the scope are disposed once the callback returns,
+   * or once the promise returned by the callback settles.
+   *
+   * @template R
+   * @param {function(DependencyInjector): R} callback The callback to run,
+   *        receiving the scope, which may be used for registering values
+   *        specific to the scope, such as the current request.
+   * @return {R} The value returned by the callback. If the callback returns
+   *         a promise, the returned promise settles once the callback's
+   *         promise settles and the scope has been disposed.
+   * @throws {TypeError} Thrown if the callback is an async function or
+   *         returns a promise, but no asynchronous context has been provided
+   *         to track the scope. The async functions are rejected without
+   *         being invoked. If the callback returns a promise, the scope is
+   *         disposed once the promise settles, and the rejection of the
+   *         promise is ignored.
+   * @throws {DisposalError} Thrown if any of the instances held by the scope
+   *         failed to be disposed. The errors thrown by the callback take
+   *         precedence over the disposal errors.
+   */
+  runInScope(callback) {
+    if (!(callback instanceof Function)) {
+      throw new TypeError("The callback must be a function, " +
+          `${typeof callback} provided`)
     }
 
-    if (!dependencies.length) {
-      let dependenciesGetterName = this[PRIVATE.dependenciesGetterName]
-      if (implementation.hasOwnProperty(dependenciesGetterName)) {
-        dependencies = implementation[dependenciesGetterName]
-      } else {
-        console.warn("No dependencies were provided for the " +
-            `${classConstructor.name} interface/class (implemented by the ` +
-            `${implementation.name} class), nor were any configured for the ` +
-            "the implementation class, nor does the implementation class " +
-            "specify its default dependencies using the " +
-            dependenciesGetterName + " static property. The constructor " +
-            "will be called with no arguments");
-      }
+    let context = this[PRIVATE.asyncContext]
+    let createAsyncContextError = () => new TypeError("The scope cannot be " +
+        "tracked across the asynchronous calls of the callback without the " +
+        "asyncContext option of the dependency injector (for example an " +
+        "AsyncLocalStorage)")
+    if (context[SYNCHRONOUS_CONTEXT] && isAsyncFunction(callback)) {
+      throw createAsyncContextError()
     }
 
-    let dependencyInstances = dependencies.map((dependency) => {
-      if (dependency instanceof Function) {
-        return this.get(dependency)
-      } else {
-        return dependency
+    let scope = this.createScope()
+    let currentScopes = context.getStore()
+    let activeScopes = new Map(
+      (currentScopes instanceof Map) ? currentScopes : []
+    )
+    activeScopes.set(this, scope)
+
+    let result
+    try {
+      result = context.run(activeScopes, () => callback(scope))
+    } catch (error) {
+      try {
+        scope.clear()
+      } catch (disposalError) {
+        // the error thrown by the callback is more important
       }
-    })
+      throw error
+    }
 
-    let instance = new implementation(...dependencyInstances)
+    if (!(result instanceof Promise)) {
+      scope.clear()
+      return result
+    }
+    if (context[SYNCHRONOUS_CONTEXT]) {
+      // the asynchronous work of the callback is already running, so the
+      // scope has to outlive it and its failure must not go unhandled
+      let dispose = () => scope.clearAsync()
+      result.then(dispose, dispose).catch(() => {
+        // the misuse of the method is reported instead
+      })
+      throw createAsyncContextError()
+    }
 
-    // we want to mark this even if custom dependencies have been provided, to
-    // ensure easier debugging and earlier error detection
-    this[PRIVATE.instantiatedClasses].add(implementation)
+    return result.then(
+      value => scope.clearAsync().then(() => value),
+      (error) => {
+        let rethrow = () => {
+          throw error
+        }
+        return scope.clearAsync().then(rethrow, rethrow)
+      }
+    )
+  }
 
-    return instance
+  /**
+   * Sets the lifetime of the instances of the specified class or provider
+   * token, see the {@code Lifetime} enum. The lifetime applies wherever the
+   * class is resolved - when it is requested using the {@linkcode get} or
+   * {@linkcode getAsync} method, and when it is injected as a dependency.
+   * The {@linkcode create} and {@linkcode createAsync} methods always create
+   * a new instance.
+   *
+   * If a lifetime is set for an interface, it applies to the instances of
+   * the interface, and overrides the lifetime of the implementation.
+   *
+   * Once set, the lifetime cannot be changed to ensure consistency
+   * throughout the application. The lifetime also cannot be set if an
+   * instance of the class has already been created by this dependency
+   * injector.
+   *
+   * @param {(function(new: Object, ...*)|symbol|string)} token The class,
+   *        interface or provider token.
+   * @param {Lifetime} lifetime The lifetime of the instances.
+   */
+  setLifetime(token, lifetime) {
+    this[PRIVATE.bind]("lifetime", token, () => {
+      let lifetimes = Object.keys(Lifetime).map(key => Lifetime[key])
+      if (lifetimes.indexOf(lifetime) === -1) {
+        throw new TypeError(`Unknown lifetime ${lifetime}, expected one of ` +
+            lifetimes.join(", "))
+      }
+      if (this[PRIVATE.lifetimes].has(token)) {
+        throw new ConfigurationError(`The lifetime of the ` +
+            `${describeToken(token)} class has already been set in this ` +
+            "dependency injector", {classConstructor: token})
+      }
+      if (this[PRIVATE.instantiatedClasses].has(token)) {
+        throw new ConfigurationError(`The ${describeToken(token)} class ` +
+            "cannot have its lifetime set since an instance has already " +
+            "been created", {classConstructor: token})
+      }
+
+      this[PRIVATE.lifetimes].set(token, lifetime)
+    })
   }
 
   /**
@@ -192,6 +1165,10 @@ export default class DependencyInjector {
    * an instance of the class has already been created by this dependency
    * injector (using either custom or the class's default dependencies).
    *
+   * A child dependency injector may configure a class that has already been
+   * configured in its parent, the configuration of the parent will not be
+   * affected.
+   *
    * @param {function(new: Object)} classConstructor The class that should have
    *        its default dependencies configured.
    * @param {...(function(new: Object, ...*)|*)} dependencies The default
@@ -200,21 +1177,46 @@ export default class DependencyInjector {
    *        can be classes, interfaces or non-function values.
    */
   configure(classConstructor, ...dependencies) {
-    if (this[PRIVATE.dependencies].has(classConstructor)) {
-      throw new Error(`The ${classConstructor.name} class has already been ` +
-          "configured in this dependency injector")
-    }
-    if (this[PRIVATE.implementations].has(classConstructor)) {
-      throw new Error(`The provided ${classConstructor.name} class is ` +
-          "already registered as an interface in this dependency injector")
-    }
-    if (this[PRIVATE.instantiatedClasses].has(classConstructor)) {
-      throw new Error(`The ${classConstructor} class cannot have its ` +
-          "default dependencies reconfigured since an instance has already " +
-          "been created");
-    }
+    this[PRIVATE.bind]("dependencies", classConstructor, () => {
+      if (this[PRIVATE.dependencies].has(classConstructor)) {
+        throw new ConfigurationError(`The ${classConstructor.name} class ` +
+            "has already been configured in this dependency injector",
+            {classConstructor})
+      }
+      if (
+        this[PRIVATE.findRegistry](PRIVATE.implementations, classConstructor) ||
+        this[PRIVATE.findRegistry](
+          PRIVATE.profileImplementations,
+          classConstructor
+        )
+      ) {
+        throw new ConfigurationError(`The provided ` +
+            `${classConstructor.name} class is already registered as an ` +
+            "interface in this dependency injector",
+            {interfaceConstructor: classConstructor})
+      }
+      if (this[PRIVATE.findRegistry](PRIVATE.providers, classConstructor)) {
+        throw new ConfigurationError(`The provided ` +
+            `${classConstructor.name} class is already registered with a ` +
+            "factory or value provider in this dependency injector",
+            {classConstructor})
+      }
+      if (this[PRIVATE.findRegistry](PRIVATE.interfaces, classConstructor)) {
+        throw new ConfigurationError(`The provided ` +
+            `${classConstructor.name} class is declared as an interface in ` +
+            "this dependency injector, thus it cannot be configured with " +
+            "dependencies (interfaces do not have dependencies)",
+            {interfaceConstructor: classConstructor})
+      }
+      if (this[PRIVATE.instantiatedClasses].has(classConstructor)) {
+        throw new ConfigurationError(`The ` +
+            `${describeToken(classConstructor)} class cannot have its ` +
+            "default dependencies reconfigured since an instance has already " +
+            "been created", {classConstructor})
+      }
 
-    this[PRIVATE.dependencies].set(classConstructor, dependencies)
+      this[PRIVATE.dependencies].set(classConstructor, dependencies)
+    })
   }
 
   /**
@@ -232,102 +1234,2957 @@ export default class DependencyInjector {
    * implement multiple interfaces, and it is impossible (in ES2015) to extend
    * two classes at the same time.
    *
-   * @param {function(new: Object)} interfaceConstructor
-   * @param {(function(new: Object, ...*)|function(new: Object))} implementation
-   *        The default implementation of the interface to use to create
-   *        instances of the interface.
+   * If the {@code checkImplementations} option has been enabled when creating
+   * this dependency injector, the implementation (after following the
+   * "implemented-by" chain) is checked to provide every method and accessor
+   * defined on the prototype of the interface, with the same number of
+   * declared method parameters. All missing members are reported at once.
+   *
+   * Both the interface and the implementation may also be a symbol or a
+   * string provider token. This allows implementing an interface using a
+   * factory or a value registered using the {@linkcode registerFactory} or
+   * {@linkcode registerValue} method.
+   *
+   * The options may specify a {@code name} of the implementation, making it
+   * a named implementation that is used only where the interface is injected
+   * using the {@linkcode named} dependency marker with the same name.
+   * Alternatively, the options may specify a {@code consumer} class, making
+   * the implementation a contextual one, used only when the interface is a
+   * dependency of the consumer class (the contextual implementation takes
+   * precedence over the default implementation in such case).
+   *
+   * The options may also specify a {@code profile} - the name of the
+   * environment profile the implementation is bound to, or a predicate
+   * receiving the names of the active profiles (see the {@code profiles}
+   * option of the constructor) and returning whether the implementation
+   * applies. The implementation bound to the active profiles takes
+   * precedence over the default implementation. Resolving the interface
+   * fails if the implementations of multiple matching profiles are set, or
+   * if no implementation matches the active profiles and the interface has
+   * no default implementation.
+   *
+   * A child dependency injector may override the implementation of an
+   * interface set in its parent, the configuration of the parent will not be
+   * affected.
+   *
+   * @param {(function(new: Object)|symbol|string)} interfaceConstructor
+   * @param {(function(new: Object, ...*)|function(new: Object)|symbol|string)}
+   *        implementation The default implementation of the interface to use
+   *        to create instances of the interface.
+   * @param {{
+   *          name: ?string,
+   *          consumer: ?function(new: Object, ...*),
+   *          profile: ?(string|function(string[]): boolean)
+   *        }=} options The options specifying the name of the
+   *        implementation, the consumer class or the profile the
+   *        implementation applies to.
+   * @throws {ConfigurationError} Thrown if the implementation does not
+   *         conform to the interface and the {@code checkImplementations}
+   *         option is enabled.
+   */
+  setImplementation(
+    interfaceConstructor,
+    implementation,
+    {name = null, consumer = null, profile = null} = {}
+  ) {
+    this[PRIVATE.bind]("implementation", interfaceConstructor, () => {
+      if ((name !== null) && (consumer !== null)) {
+        throw new TypeError("The name and consumer options cannot be combined")
+      }
+      if ((profile !== null) && ((name !== null) || (consumer !== null))) {
+        throw new TypeError("The profile option cannot be combined with the " +
+            "name and consumer options")
+      }
+      if (
+        (profile !== null) &&
+        (typeof profile !== "string") &&
+        !(profile instanceof Function)
+      ) {
+        throw new TypeError("The profile must be a string or a predicate, " +
+            `${typeof profile} provided`)
+      }
+      if ((name !== null) && (typeof name !== "string")) {
+        throw new TypeError("The name of the implementation must be a " +
+            `string, ${typeof name} provided`)
+      }
+      if ((consumer !== null) && !(consumer instanceof Function)) {
+        throw new TypeError("The consumer must be a class, " +
+            `${typeof consumer} provided`)
+      }
+      this[PRIVATE.checkConformance](interfaceConstructor, implementation)
+
+      if (name !== null) {
+        this[PRIVATE.setNestedBinding](
+          PRIVATE.namedImplementations,
+          interfaceConstructor,
+          name,
+          implementation,
+          `The implementation of the ${describeToken(interfaceConstructor)} ` +
+              `interface named ${JSON.stringify(name)} is already set`,
+          {interfaceConstructor}
+        )
+        return
+      }
+      if (consumer !== null) {
+        this[PRIVATE.setNestedBinding](
+          PRIVATE.contextualImplementations,
+          consumer,
+          interfaceConstructor,
+          implementation,
+          `The implementation of the ${describeToken(interfaceConstructor)} ` +
+              `interface for the ${describeToken(consumer)} class is already ` +
+              "set",
+          {classConstructor: consumer, interfaceConstructor}
+        )
+        return
+      }
+
+      if (
+        (profile === null) &&
+        this[PRIVATE.implementations].has(interfaceConstructor)
+      ) {
+        throw new ConfigurationError("The implementation of the " +
+            `${describeToken(interfaceConstructor)} interface is already set ` +
+            "to the " +
+            describeToken(this[PRIVATE.implementations].get(
+              interfaceConstructor
+            )) +
+            " class", {interfaceConstructor})
+      }
+      let dependencies = this[PRIVATE.findRegistry](
+        PRIVATE.dependencies,
+        interfaceConstructor
+      )
+      if (dependencies) {
+        throw new ConfigurationError(`The ${interfaceConstructor.name} ` +
+            "class provided as the interface is already configured with " +
+            "dependencies in this dependency injector, thus it cannot be " +
+            "used as an interface (interfaces do not have dependencies)",
+            {interfaceConstructor})
+      }
+      if (
+        this[PRIVATE.findRegistry](PRIVATE.providers, interfaceConstructor)
+      ) {
+        throw new ConfigurationError("The " +
+            describeToken(interfaceConstructor) + " provided as the " +
+            "interface is already registered with a factory or value " +
+            "provider in this dependency injector, thus it cannot be used as " +
+            "an interface", {interfaceConstructor})
+      }
+
+      if (profile !== null) {
+        let registry = this[PRIVATE.profileImplementations]
+        if (!registry.has(interfaceConstructor)) {
+          registry.set(interfaceConstructor, [])
+        }
+        let bindings = registry.get(interfaceConstructor)
+        if (bindings.some(binding => binding.profile === profile)) {
+          throw new ConfigurationError("The implementation of the " +
+              `${describeToken(interfaceConstructor)} interface for the ` +
+              `${JSON.stringify(profile)} profile is already set`,
+              {interfaceConstructor})
+        }
+        bindings.push({implementation, profile})
+        return
+      }
+
+      this[PRIVATE.implementations].set(interfaceConstructor, implementation)
+    })
+  }
+
+  /**
+   * Adds the provided implementation to the implementations of the specified
+   * interface, allowing the interface to have multiple implementations. The
+   * instances of all implementations can be retrieved using the
+   * {@linkcode getAll} method, or injected using the {@linkcode all}
+   * dependency marker.
+   *
+   * The implementations added using this method are independent of the
+   * default implementation set using the {@linkcode setImplementation}
+   * method.
+   *
+   * @param {(function(new: Object)|symbol|string)} interfaceConstructor The
+   *        interface.
+   * @param {(function(new: Object, ...*)|symbol|string)} implementation The
+   *        implementation to add. Can be a class, an interface or a provider
+   *        token.
+   * @param {{priority: number}=} options The options of the implementation.
+   *        The implementations with a higher {@code priority} come first,
+   *        the default priority is {@code 0}.
+   * @throws {ConfigurationError} Thrown if the implementation does not
+   *         conform to the interface and the {@code checkImplementations}
+   *         option is enabled.
+   */
+  addImplementation(interfaceConstructor, implementation, {priority = 0} = {}) {
+    this[PRIVATE.bind]("implementations", interfaceConstructor, () => {
+      if (typeof priority !== "number") {
+        throw new TypeError("The priority must be a number, " +
+            `${typeof priority} provided`)
+      }
+      this[PRIVATE.checkConformance](interfaceConstructor, implementation)
+      let implementations = this[PRIVATE.getAllImplementations](
+        interfaceConstructor
+      )
+      if (implementations.indexOf(implementation) > -1) {
+        throw new ConfigurationError(`The ${describeToken(implementation)} ` +
+            "class has already been added to the implementations of the " +
+            `${describeToken(interfaceConstructor)} interface`,
+            {classConstructor: implementation, interfaceConstructor})
+      }
+
+      let registry = this[PRIVATE.multiImplementations]
+      if (!registry.has(interfaceConstructor)) {
+        registry.set(interfaceConstructor, [])
+      }
+      registry.get(interfaceConstructor).push({implementation, priority})
+    })
+  }
+
+  /**
+   * Declares the specified class as an interface. Resolving a declared
+   * interface that has no implementation configured (see the
+   * {@linkcode setImplementation} method) and no factory or value provider
+   * registered results in an error, instead of the dependency injector
+   * creating an instance of the bare interface.
+   *
+   * @param {function(new: Object)} interfaceConstructor The class to declare
+   *        as an interface.
+   */
+  declareInterface(interfaceConstructor) {
+    this[PRIVATE.bind]("interface", interfaceConstructor, () => {
+      if (!(interfaceConstructor instanceof Function)) {
+        throw new TypeError("The interface must be a class, " +
+            `${typeof interfaceConstructor} provided`)
+      }
+      let dependencies = this[PRIVATE.findRegistry](
+        PRIVATE.dependencies,
+        interfaceConstructor
+      )
+      if (dependencies) {
+        throw new ConfigurationError(`The ${interfaceConstructor.name} ` +
+            "class is already configured with dependencies in this " +
+            "dependency injector, thus it cannot be declared as an interface " +
+            "(interfaces do not have dependencies)", {interfaceConstructor})
+      }
+
+      this[PRIVATE.interfaces].add(interfaceConstructor)
+    })
+  }
+
+  /**
+   * Installs the provided module into this dependency injector. A module
+   * bundles related bindings - it is an object (or a class) having the
+   * {@code configure(dependencyInjector)} method that registers the
+   * bindings of the module, and optionally the {@code requires} array of the
+   * modules it depends on, and the {@code name} used in the error messages.
+   *
+   * The required modules are installed before the module itself. Every
+   * module is installed at most once, the modules already installed in this
+   * dependency injector or its ancestors are skipped.
+   *
+   * The bindings registered by the modules are tracked, so that a binding
+   * of a module conflicting with a binding registered by another module is
+   * reported with the names of both modules.
+   *
+   * The installation is atomic - if the module or any of the modules it
+   * requires fails to be installed, the state of this dependency injector
+   * is reverted to the state before the call, and the shared instances
+   * created since are disposed.
+   *
+   * @param {{
+   *          name: string=,
+   *          requires: Object[]=,
+   *          configure: function(DependencyInjector)
+   *        }} module The module to install.
+   * @throws {Error} Thrown if the module is invalid, if the modules require
+   *         each other in a cycle, or if a binding of the module conflicts
+   *         with an existing binding.
    */
-  setImplementation(interfaceConstructor, implementation) {
-    if (this[PRIVATE.implementations].has(interfaceConstructor)) {
-      throw new Error("The implementation of the " +
-          interfaceConstructor.name + " interface is already set to the " +
-          implementation.name + " class")
+  install(module) {
+    if (!module || !(module.configure instanceof Function)) {
+      throw new TypeError("The module must have the configure() method, " +
+          `${describeModule(module)} provided`)
+    }
+    let installing = this[PRIVATE.installingModules]
+    if (installing.indexOf(module) > -1) {
+      throw new ConfigurationError("Detected a cycle in the module " +
+          "dependencies: " +
+          installing.slice(installing.indexOf(module)).concat(module)
+              .map(describeModule).join(" -> "))
     }
-    if (this[PRIVATE.dependencies].has(interfaceConstructor)) {
-      throw new Error(`The ${interfaceConstructor.name} class provided as ` +
-          "the interface is already configured with dependencies in this " +
-          "dependency injector, thus it cannot be used as an interface " +
-          "(interfaces do not have dependencies)")
+    for (let injector = this; injector; injector = injector[PRIVATE.parent]) {
+      if (injector[PRIVATE.installedModules].has(module)) {
+        return
+      }
     }
 
-    this[PRIVATE.implementations].set(interfaceConstructor, implementation)
+    // only the outermost installation reverts the state, so that the modules
+    // installed before a failed required module are reverted as well
+    let state = installing.length ? null : this[PRIVATE.captureState]()
+    installing.push(module)
+    try {
+      for (let requiredModule of (module.requires || [])) {
+        this.install(requiredModule)
+      }
+      module.configure(this)
+    } catch (error) {
+      if (state) {
+        try {
+          this[PRIVATE.revertToState](state)
+        } catch (disposalError) {
+          // the installation error is more important
+        }
+      }
+      throw error
+    } finally {
+      installing.pop()
+    }
+    this[PRIVATE.installedModules].add(module)
   }
 
   /**
-   * Clears the internal registry of instances created using the
-   * {@linkcode get} method.
+   * Registers the provided factory function as the provider of instances of
+   * the specified class or provider token.
+   *
+   * The factory is invoked with this dependency injector as its only
+   * argument whenever a new instance is needed - once for the shared instance
+   * provided by the {@linkcode get} method, and on every call to the
+   * {@linkcode create} method. The {@linkcode getAsync} and
+   * {@linkcode createAsync} methods wait for the result of the factory if it
+   * returns a promise.
+   *
+   * The token can be used with the {@linkcode setImplementation} method, and
+   * in the dependencies of classes. Note that symbol and string tokens used
+   * as dependencies are resolved only if they are registered in this
+   * dependency injector (or its parent), otherwise they are passed to the
+   * class constructor without modification.
+   *
+   * @template T
+   * @param {(function(new: T, ...*)|symbol|string)} token The class or
+   *        provider token the factory provides instances of.
+   * @param {function(DependencyInjector): T} factory The factory function
+   *        creating the instances.
    */
-  clear() {
-    this[PRIVATE.instances].clear()
+  registerFactory(token, factory) {
+    if (!(factory instanceof Function)) {
+      throw new TypeError("The factory must be a function, " +
+          `${typeof factory} provided`)
+    }
+
+    this[PRIVATE.registerProvider](token, {factory})
   }
 
   /**
-   * Sets the static class getter/property name this dependency injector uses
-   * to retrieve the default dependencies of a class.
+   * Registers the provided value as the value of the specified class or
+   * provider token. The value will be used as-is wherever the token is
+   * requested or used as a dependency, by both the {@linkcode get} and the
+   * {@linkcode create} methods.
    *
-   * Note that this property can be changed only once (to prevent configuration
-   * conflicts) and cannot be changed after this dependency injector has been
-   * used to create a class instance (to prevent behavior inconsistencies).
+   * See the {@linkcode registerFactory} method for details on how the token
+   * is used.
    *
-   * @param {string} newName The new name of the getter/property to use to
-   *        retrieve the default dependencies of a class.
+   * @template T
+   * @param {(function(new: T, ...*)|symbol|string)} token The class or
+   *        provider token to register the value for.
+   * @param {T} value The value to provide.
    */
-  set dependenciesPropertyName(newName) {
-    if (this[PRIVATE.dependenciesGetterName] === newName) {
-      return
+  registerValue(token, value) {
+    this[PRIVATE.registerProvider](token, {value})
+  }
+
+  /**
+   * Configures this dependency injector using the provided configuration
+   * manifest - a plain object (usually parsed from JSON) referring to the
+   * classes and interfaces by their names in the provided class registry.
+   * The manifest may contain the following sections:
+   *
+   * - {@code implementations} - maps the interface names to the names of
+   *   their implementations (see the {@linkcode setImplementation} method).
+   * - {@code dependencies} - maps the class names to the arrays of their
+   *   dependencies (see the {@linkcode configure} method). A dependency is
+   *   either a literal value (a string, a number, a boolean or {@code null})
+   *   injected as-is, or an object specifying either the name of the class or
+   *   interface to inject as the {@code ref} property (and optionally the
+   *   {@code name} of the implementation of the interface, see the
+   *   {@linkcode named} marker), a string provider token to inject as the
+   *   {@code token} property, or a literal value of any type to inject as the
+   *   {@code value} property.
+   * - {@code lifetimes} - maps the class and interface names to their
+   *   lifetimes (see the {@linkcode setLifetime} method).
+   *
+   * The whole manifest is validated before any of it is applied, the
+   * conflicts with the existing configuration of this dependency injector are
+   * reported while applying the manifest. The errors refer to the offending
+   * path in the manifest. The manifest is applied atomically - if any part of
+   * it cannot be applied, the configuration of this dependency injector is
+   * reverted to the state before the call.
+   *
+   * @param {Object} manifest The configuration manifest.
+   * @param {Object<string, function(new: Object, ...*)>} classRegistry The
+   *        classes and interfaces the manifest may refer to, by their names.
+   * @throws {ConfigurationError} Thrown if the manifest is malformed, refers
+   *         to a class that is not in the class registry, or conflicts with
+   *         the current configuration of this dependency injector.
+   */
+  loadConfig(manifest, classRegistry) {
+    let config = parseManifest(manifest, classRegistry)
+    let apply = (entries, applyEntry) => {
+      for (let entry of entries) {
+        try {
+          applyEntry(entry)
+        } catch (error) {
+          throw new ConfigurationError("Cannot apply the configuration " +
+              `manifest at ${entry.path}: ${error.message}`, {
+                classConstructor: error.classConstructor || null,
+                interfaceConstructor: error.interfaceConstructor || null,
+                cause: error
+              })
+        }
+      }
     }
 
-    if (this[PRIVATE.dependenciesGetterNameChanged]) {
-      throw new Error("The dependencies getter/property name has already " +
-          "been changed once on this dependency injector (currently changed " +
-          `to ${this[PRIVATE.dependenciesGetterName]}, attempted to change ` +
-          `to ${newName}). The name wont be changed to prevent ` +
-          "inconsistency during the dependency injector's lifetime.")
+    let state = this[PRIVATE.captureState]()
+    try {
+      apply(config.implementations, (entry) => {
+        this.setImplementation(entry.interfaceConstructor, entry.implementation)
+      })
+      apply(config.dependencies, ({classConstructor, dependencies}) => {
+        this.configure(classConstructor, ...dependencies)
+      })
+      apply(config.lifetimes, ({classConstructor, lifetime}) => {
+        this.setLifetime(classConstructor, lifetime)
+      })
+    } catch (error) {
+      this[PRIVATE.restoreState](state)
+      throw error
     }
+  }
 
-    if (this[PRIVATE.instantiatedClasses].size) {
-      throw new Error("The dependencies getter/property name cannot be " +
-          "changed after this dependency injector has been used to create " +
-          "class instances because of possible behavior consistency issues.")
+  /**
+   * Registers the provided interceptor to run around the method calls of the
+   * instances of the specified class or interface created by this dependency
+   * injector (or its descendants). The interceptor applies to the instances
+   * whose implementation chain (see the {@linkcode setImplementation}
+   * method) contains the specified class or interface, no matter whether the
+   * instance has been requested through the interface or its implementation.
+   *
+   * The instances are wrapped in a proxy that invokes the interceptors
+   * (the interceptors registered in the ancestors first, in the order of
+   * their registration) when a method of the instance is called. The
+   * interceptor receives the invocation - an object specifying the
+   * {@code target} instance, the {@code targetClass}, the {@code methodName}
+   * and the {@code args} of the call - and invokes the {@code proceed()}
+   * method of the invocation to continue with the next interceptor or the
+   * method itself. The {@code proceed()} method returns the result of the
+   * call - a promise for asynchronous methods. The interceptor returns the
+   * result to pass to the caller.
+   *
+   * Only the instances of classes are intercepted, the results of the
+   * factories and the values registered using the {@linkcode registerFactory}
+   * and {@linkcode registerValue} methods are not.
+   *
+   * @param {(function(new: Object, ...*)|symbol|string)} token The class,
+   *        interface or provider token to intercept.
+   * @param {function(Object): *} interceptor The interceptor.
+   */
+  intercept(token, interceptor) {
+    this[PRIVATE.addInterceptor](chain => chain.indexOf(token) > -1,
+        interceptor)
+  }
+
+  /**
+   * Registers the provided interceptor to run around the method calls of the
+   * instances of the classes matching the provided predicate, created by
+   * this dependency injector (or its descendants). See the
+   * {@linkcode intercept} method for the details.
+   *
+   * @param {function(function(new: Object, ...*)): boolean} predicate The
+   *        predicate that receives the implementation class and returns
+   *        {@code true} if its instances should be intercepted.
+   * @param {function(Object): *} interceptor The interceptor.
+   */
+  interceptMatching(predicate, interceptor) {
+    if (!(predicate instanceof Function)) {
+      throw new TypeError("The predicate must be a function, " +
+          `${typeof predicate} provided`)
     }
 
-    this[PRIVATE.dependenciesGetterName] = newName
-    this[PRIVATE.dependenciesGetterNameChanged] = true
+    this[PRIVATE.addInterceptor](
+      chain => !!predicate(chain[chain.length - 1]),
+      interceptor
+    )
   }
 
   /**
-   * Returns the current static class getter/property name this dependency
-   * injector uses to retrieve the default dependencies of a class. Defaults to
-   * {@code "dependencies"}.
+   * Registers the provided listener to be invoked whenever this dependency
+   * injector or any of its descendants resolves a class, interface or
+   * provider token using the {@linkcode get} or {@linkcode getAsync} method,
+   * including the resolution of the dependencies. The listener is invoked
+   * before the shared instance is looked up or created. The classes and
+   * interfaces requested using the {@linkcode create} or
+   * {@linkcode createAsync} method are reported as well.
    *
-   * @return {string} The current static class getter/property name this
-   *         dependency injector uses to retrieve the default dependencies of a
-   *         class.
+   * The listener receives an event with the following properties:
+   *
+   * - {@code token} - the resolved class, interface or provider token.
+   * - {@code chain} - the implementation chain of the token.
+   * - {@code path} - the resolution path of the class that has the token as
+   *   a dependency, the path is empty for the resolutions requested by the
+   *   application.
+   *
+   * @param {function({token: *, chain: *[], path: *[][]})} listener The
+   *        listener.
+   * @return {function()} A function that unregisters the listener.
    */
-  get dependenciesPropertyName() {
-    return this[PRIVATE.dependenciesGetterName]
+  onResolve(listener) {
+    return this[PRIVATE.addListener]("resolve", listener)
   }
 
   /**
-   * Retrieves the implementation class configured as the current default
-   * implementation of the specified interface. If another interface is
-   * specified as the implementation, the method follows the implementation
-   * chain until it finds the implementation class.
+   * Registers the provided listener to be invoked whenever this dependency
+   * injector or any of its descendants creates an instance of a class or
+   * provides an instance using a factory.
    *
-   * @param {function(new: Object)} interfaceConstructor The interface for
-   *        which the method should retrieve the configured implementation
-   *        class.
-   * @return {function(new: Object, ...*)} The currently configured
-   *         implementation of the interface, or the provided interface if no
-   *         implementation is known.
+   * The listener receives an event with the following properties:
+   *
+   * - {@code token} - the requested class, interface or provider token.
+   * - {@code implementation} - the instantiated class or the provider token
+   *   of the factory.
+   * - {@code instance} - the created instance.
+   * - {@code path} - the resolution path of the instance, ending with the
+   *   implementation chain of the instance.
+   * - {@code constructionTime} - the number of milliseconds spent in the
+   *   class constructor or the factory, excluding the resolution of the
+   *   dependencies.
+   *
+   * @param {function(Object)} listener The listener.
+   * @return {function()} A function that unregisters the listener.
    */
-  [PRIVATE.getImplementation](interfaceConstructor) {
-    if (!this[PRIVATE.implementations].has(interfaceConstructor)) {
-      return interfaceConstructor
+  onCreate(listener) {
+    return this[PRIVATE.addListener]("create", listener)
+  }
+
+  /**
+   * Registers the provided listener to be invoked whenever this dependency
+   * injector or any of its descendants disposes a shared instance (see the
+   * {@linkcode clear} method). The listener is invoked before the dispose
+   * method of the instance is called, and receives an event with the
+   * {@code instance} property.
+   *
+   * @param {function({instance: Object})} listener The listener.
+   * @return {function()} A function that unregisters the listener.
+   */
+  onDispose(listener) {
+    return this[PRIVATE.addListener]("dispose", listener)
+  }
+
+  /**
+   * Registers the provided listener to be invoked whenever this dependency
+   * injector or any of its descendants issues a warning, for example when a
+   * class is instantiated without any dependencies configured or specified.
+   * The warnings are passed to the logger as well (see the {@code logger}
+   * option of the constructor).
+   *
+   * The listener receives an event with the {@code message} property, and
+   * the {@code token} and the {@code implementation} the warning is about.
+   *
+   * @param {function({message: string, token: *, implementation: *})}
+   *        listener The listener.
+   * @return {function()} A function that unregisters the listener.
+   */
+  onWarning(listener) {
+    return this[PRIVATE.addListener]("warning", listener)
+  }
+
+  /**
+   * Clears the internal registry of instances created using the
+   * {@linkcode get} method. The instance registries of the parent and child
+   * dependency injectors are not affected.
+   *
+   * The cleared instances that have the dispose method (see the
+   * {@linkcode disposeMethodName} property) are disposed in the reverse order
+   * of their creation, so that every instance is disposed before its
+   * dependencies. The method does not wait for asynchronous disposals (use the
+   * {@linkcode clearAsync} method for that), and instances that are still
+   * being created asynchronously are not disposed.
+   *
+   * @throws {DisposalError} Thrown if any of the instances failed to be
+   *         disposed. All instances are disposed even if some of the
+   *         disposals fail.
+   */
+  clear() {
+    this[PRIVATE.disposeInstances](this[PRIVATE.takeInstances]())
+  }
+
+  /**
+   * Clears the internal registry of instances created using the
+   * {@linkcode get} and {@linkcode getAsync} methods and disposes the cleared
+   * instances. This is the asynchronous counterpart of the
+   * {@linkcode clear} method.
+   *
+   * The instances are disposed one by one in the reverse order of their
+   * creation, waiting for the disposal of each instance to finish before
+   * disposing the next one. Instances that are still being created are
+   * disposed once they are created.
+   *
+   * @return {Promise<undefined>} A promise that resolves once all instances
+   *         have been disposed. The promise rejects with a
+   *         {@code DisposalError} if any of the instances failed to be
+   *         disposed, after attempting to dispose all of them.
+   */
+  clearAsync() {
+    let failures = []
+    let disposal = this[PRIVATE.takeInstances]().reduce((previous, entry) => {
+      return previous.then(() => {
+        return Promise.resolve(entry).then((instance) => {
+          return new Promise((resolve) => {
+            resolve(this[PRIVATE.dispose](instance))
+          }).catch((error) => {
+            failures.push({instance, error})
+          })
+        }, () => {
+          // the instance failed to be created, there is nothing to dispose
+        })
+      })
+    }, Promise.resolve())
+
+    return disposal.then(() => {
+      if (failures.length) {
+        throw new DisposalError(failures)
+      }
+    })
+  }
+
+  /**
+   * Takes a snapshot of the current state of this dependency injector - its
+   * configuration, its shared instances, the property names it uses and the
+   * set of the classes it has already instantiated. The state can be reverted
+   * to the snapshot using the {@linkcode restore} method.
+   *
+   * The snapshots are meant to be used in tests, together with the
+   * {@linkcode override} method. The snapshots may be nested, every call to
+   * the {@linkcode restore} method reverts to the most recent snapshot that
+   * has not been restored yet. The state of the parent and child dependency
+   * injectors is not included in the snapshot.
+   */
+  snapshot() {
+    this[PRIVATE.snapshots].push(this[PRIVATE.captureState]())
+  }
+
+  /**
+   * Reverts the state of this dependency injector to the most recent
+   * snapshot taken using the {@linkcode snapshot} method, discarding the
+   * snapshot. All bindings, overrides and configuration made since the
+   * snapshot are reverted, and the classes instantiated since the snapshot
+   * can be configured again.
+   *
+   * The shared instances created since the snapshot are discarded and
+   * disposed the same way the {@linkcode clear} method disposes them. The
+   * shared instances that existed at the time of the snapshot are kept.
+   *
+   * @throws {Error} Thrown if there is no snapshot to restore.
+   * @throws {DisposalError} Thrown if any of the discarded instances failed to
+   *         be disposed. The state is reverted even if some of the disposals
+   *         fail.
+   */
+  restore() {
+    if (!this[PRIVATE.snapshots].length) {
+      throw new Error("There is no snapshot of the dependency injector " +
+          "state to restore, use the snapshot() method to take one")
     }
 
-    return this[PRIVATE.getImplementation](
-      this[PRIVATE.implementations].get(interfaceConstructor)
-    )
+    this[PRIVATE.revertToState](this[PRIVATE.snapshots].pop())
+  }
+
+  /**
+   * Temporarily replaces the binding of the specified class, interface or
+   * provider token until the next call to the {@linkcode restore} method.
+   * Unlike the {@linkcode setImplementation} method, the override replaces
+   * any existing binding, and may be used even after the class or interface
+   * has already been instantiated. The shared instance of the overridden
+   * class or interface is replaced as well.
+   *
+   * The replacement is either a class, interface or provider token to use
+   * instead of the overridden one, or a value to inject as-is marked using
+   * the {@linkcode value} marker. The conformance of the replacement to the
+   * overridden interface is not checked, even if the
+   * {@code checkImplementations} option is enabled.
+   *
+   * Note that the instances that have already received the original shared
+   * instance are not affected, so the override should happen before the
+   * dependent classes are instantiated.
+   *
+   * @param {(function(new: Object, ...*)|symbol|string)} token The class,
+   *        interface or provider token to override.
+   * @param {(function(new: Object, ...*)|symbol|string|DependencyMarker)}
+   *        replacement The replacing class, interface or provider token, or
+   *        the value to inject marked using the {@linkcode value} marker.
+   * @throws {Error} Thrown if there is no snapshot to restore the original
+   *         binding from.
+   */
+  override(token, replacement) {
+    if (!this[PRIVATE.snapshots].length) {
+      throw new Error("Overriding a binding requires a snapshot to restore " +
+          "the original binding from, use the snapshot() method to take " +
+          "one first")
+    }
+    if (replacement === token) {
+      throw new ConfigurationError(`The ${describeToken(token)} token ` +
+          "cannot override itself", {classConstructor: token})
+    }
+
+    if (replacement instanceof DependencyMarker) {
+      if (replacement.type !== MarkerType.VALUE) {
+        throw new TypeError("Only the value marker can be used as a " +
+            `replacement, ${replacement.type} marker provided`)
+      }
+      let valueToken = Symbol(`override of ${describeToken(token)}`)
+      this[PRIVATE.providers].set(valueToken, {value: replacement.target})
+      replacement = valueToken
+    } else if (
+      !(replacement instanceof Function) &&
+      (typeof replacement !== "symbol") &&
+      (typeof replacement !== "string")
+    ) {
+      throw new TypeError("The replacement must be a class, an interface, a " +
+          "provider token or a value marker, " +
+          `${typeof replacement} provided`)
+    }
+
+    // the chain is resolved before the profile bindings are discarded, so
+    // that the discarded instance is the one of the implementation bound to
+    // the active profiles (the chain ends with the token if none matches)
+    let chain = this[PRIVATE.getImplementationChain](token)
+    this[PRIVATE.instances].delete(chain[chain.length - 1])
+    this[PRIVATE.profileImplementations].delete(token)
+    this[PRIVATE.implementations].set(token, replacement)
+  }
+
+  /**
+   * Replaces the implementation of the specified interface at runtime, for
+   * example to switch a feature toggle without restarting the application.
+   * Unlike the {@linkcode setImplementation} method, the replacement may
+   * happen even after the interface has already been instantiated, and it
+   * discards any implementations of the interface bound to profiles in this
+   * dependency injector.
+   *
+   * The shared instance of the replaced implementation and every shared
+   * instance that has (transitively) received it as a dependency are removed
+   * from this dependency injector and disposed (see the
+   * {@linkcode disposeMethodName} property), starting with the most recently
+   * created ones. The subsequent requests for the interface and the
+   * dependent classes create new instances using the new implementation.
+   *
+   * Only the shared instances of this dependency injector are invalidated,
+   * the instances of its parent and child dependency injectors are not
+   * affected. The instances that are still being created asynchronously are
+   * removed, but not disposed.
+   *
+   * @param {(function(new: Object)|symbol|string)} interfaceConstructor The
+   *        interface.
+   * @param {(function(new: Object, ...*)|function(new: Object)|symbol|string)}
+   *        implementation The new implementation of the interface.
+   * @throws {ConfigurationError} Thrown if the interface is provided as its
+   *         own implementation, or if the implementation does not conform to
+   *         the interface and the {@code checkImplementations} option is
+   *         enabled.
+   * @throws {DisposalError} Thrown if any of the invalidated instances failed
+   *         to be disposed. The implementation is replaced even if some of
+   *         the disposals fail.
+   */
+  replaceImplementation(interfaceConstructor, implementation) {
+    if (implementation === interfaceConstructor) {
+      throw new ConfigurationError(`The ` +
+          `${describeToken(interfaceConstructor)} interface cannot be its ` +
+          "own implementation", {interfaceConstructor})
+    }
+    this[PRIVATE.checkConformance](interfaceConstructor, implementation)
+
+    // the chain is resolved before the profile bindings are discarded, so
+    // that the invalidated implementation is the one bound to the active
+    // profiles (the chain ends with the interface if none matches)
+    let chain = this[PRIVATE.getImplementationChain](interfaceConstructor)
+    this[PRIVATE.profileImplementations].delete(interfaceConstructor)
+    this[PRIVATE.implementations].set(interfaceConstructor, implementation)
+
+    let invalidated = new Set()
+    let pending = [chain[chain.length - 1]]
+    while (pending.length) {
+      let invalidatedImplementation = pending.shift()
+      if (invalidated.has(invalidatedImplementation)) {
+        continue
+      }
+
+      invalidated.add(invalidatedImplementation)
+      let dependents = this[PRIVATE.dependents].get(invalidatedImplementation)
+      pending.push(...(dependents || []))
+    }
+
+    let instances = this[PRIVATE.instances]
+    let invalidatedInstances = []
+    for (let [instanceImplementation, instance] of instances) {
+      if (invalidated.has(instanceImplementation)) {
+        invalidatedInstances.unshift(instance)
+      }
+    }
+    invalidated.forEach(invalidatedImplementation => {
+      instances.delete(invalidatedImplementation)
+      this[PRIVATE.dependents].delete(invalidatedImplementation)
+    })
+    this[PRIVATE.disposeInstances](invalidatedInstances)
+  }
+
+  /**
+   * Describes the configuration of this dependency injector (including the
+   * configuration inherited from its ancestors) as a dependency graph.
+   *
+   * The nodes of the graph are the classes, interfaces and provider tokens
+   * known to this dependency injector - the configured ones and the ones
+   * reachable through the dependencies of the configured ones. Every node
+   * describes its type, the source of its dependencies (configured or
+   * specified by the class), its lifetime and whether a shared instance of it
+   * exists. The edges of the graph are the interface implementations
+   * (including named, contextual and multiple implementations) and the
+   * constructor and property dependencies of the classes.
+   *
+   * Nothing is instantiated while describing the configuration.
+   *
+   * @return {DependencyGraph} The description of the configuration.
+   */
+  describe() {
+    let nodes = new Map()
+    let edges = []
+    let queue = []
+    let getNode = (token) => {
+      if (!nodes.has(token)) {
+        nodes.set(token, {id: `n${nodes.size}`, token})
+        queue.push(token)
+      }
+      return nodes.get(token).id
+    }
+    let addDependencyEdge = (edge, dependency) => {
+      if (dependency instanceof DependencyMarker) {
+        if (
+          (dependency.type === MarkerType.VALUE) ||
+          (dependency.type === MarkerType.CLASS_REF)
+        ) {
+          return
+        }
+        edge.marker = dependency.type
+        if (dependency.type === MarkerType.NAMED) {
+          edge.name = dependency.options.name
+        }
+        dependency = dependency.target
+      } else if (!this[PRIVATE.isToken](dependency)) {
+        return
+      }
+      edge.to = getNode(dependency)
+      edges.push(edge)
+    }
+
+    for (let registry of [
+      PRIVATE.dependencies,
+      PRIVATE.implementations,
+      PRIVATE.multiImplementations,
+      PRIVATE.namedImplementations,
+      PRIVATE.contextualImplementations,
+      PRIVATE.profileImplementations,
+      PRIVATE.providers,
+      PRIVATE.lifetimes,
+      PRIVATE.interfaces,
+      PRIVATE.instances
+    ]) {
+      this[PRIVATE.collectKeys](registry).forEach(getNode)
+    }
+
+    while (queue.length) {
+      let token = queue.shift()
+      let from = nodes.get(token).id
+      let directImplementation = this[PRIVATE.getDirectImplementation](token)
+      if (directImplementation) {
+        edges.push({
+          from,
+          to: getNode(directImplementation),
+          type: "implementation"
+        })
+      }
+      this[PRIVATE.getAllImplementations](token).forEach((implementation) => {
+        edges.push({
+          from,
+          to: getNode(implementation),
+          type: "implementation",
+          multiple: true
+        })
+      })
+      let names = new Set()
+      let contextualInterfaces = new Set()
+      for (let injector = this; injector; injector = injector[PRIVATE.parent]) {
+        let named = injector[PRIVATE.namedImplementations].get(token)
+        for (let [name, implementation] of (named || [])) {
+          if (!names.has(name)) {
+            names.add(name)
+            edges.push({
+              from,
+              to: getNode(implementation),
+              type: "implementation",
+              name
+            })
+          }
+        }
+        let contextual = injector[PRIVATE.contextualImplementations].get(token)
+        for (let [interfaceConstructor, implementation] of (contextual || [])) {
+          if (!contextualInterfaces.has(interfaceConstructor)) {
+            contextualInterfaces.add(interfaceConstructor)
+            edges.push({
+              from: getNode(interfaceConstructor),
+              to: getNode(implementation),
+              type: "implementation",
+              consumer: from
+            })
+          }
+        }
+      }
+
+      if (
+        (token instanceof Function) &&
+        !directImplementation &&
+        !this[PRIVATE.findRegistry](PRIVATE.providers, token)
+      ) {
+        let declared = this[PRIVATE.getDeclaredDependencies](token)
+        declared.dependencies.forEach((dependency, index) => {
+          addDependencyEdge({from, type: "dependency", index}, dependency)
+        })
+        let properties = this[PRIVATE.getPropertyDependencies](token)
+        for (let property of Object.keys(properties)) {
+          addDependencyEdge(
+            {from, type: "property", property},
+            properties[property]
+          )
+        }
+      }
+    }
+
+    return new DependencyGraph(
+      Array.from(nodes.values()).map(({id, token}) => {
+        return this[PRIVATE.describeNode](id, token, nodes)
+      }),
+      edges
+    )
+  }
+
+  /**
+   * Validates the configuration of this dependency injector by walking all
+   * dependencies reachable from the provided root classes, without
+   * instantiating anything.
+   *
+   * The method reports the declared interfaces, named implementations and
+   * provider tokens that have no implementation configured, the dependency
+   * cycles (dependencies marked as lazy or provider do not form a cycle), the
+   * classes that have neither configured nor default dependencies, and the
+   * classes that have fewer dependencies than the parameters declared by
+   * their constructor (the {@code length} of the constructor). Additional
+   * dependencies are not reported, since the {@code length} does not include
+   * the parameters with default values and the rest parameter.
+   *
+   * The factories and values registered using the
+   * {@linkcode registerFactory} and {@linkcode registerValue} methods are
+   * not inspected.
+   *
+   * @param {(function(new: Object, ...*)|symbol|string)[]} rootClasses The
+   *        classes, interfaces and provider tokens the application requests
+   *        from the dependency injector.
+   * @return {{type: ProblemType, path: *[][], message: string}[]}
+   *         The problems found in the configuration, in the order in which
+   *         they have been found. Each problem has a type, the resolution
+   *         path that leads to the problem and a human-readable message. The
+   *         array is empty if no problem has been found.
+   */
+  validate(rootClasses) {
+    let problems = []
+    let validated = new Set()
+    let deferred = []
+    let report = (type, path, message) => {
+      problems.push({type, path, message})
+    }
+
+    let validateDependency = (dependency, path) => {
+      if (!(dependency instanceof DependencyMarker)) {
+        let token = this[PRIVATE.applyContext](dependency, path)
+        if ((token !== dependency) || this[PRIVATE.isToken](dependency)) {
+          validateToken(token, path)
+        }
+        return
+      }
+
+      let target = dependency.target
+      switch (dependency.type) {
+        case MarkerType.LAZY:
+        case MarkerType.PROVIDER:
+          // the target is resolved only once the class instance exists, it
+          // is validated as a root once the eager dependencies are, so that
+          // marking it validated does not hide the cycles of the current path
+          deferred.push(this[PRIVATE.applyContext](target, path))
+          break
+        case MarkerType.OPTIONAL: {
+          let token = this[PRIVATE.applyContext](target, path)
+          if (this[PRIVATE.isRegistered](token)) {
+            validateToken(token, path)
+          }
+          break
+        }
+        case MarkerType.ALL:
+          this[PRIVATE.getAllImplementations](target).forEach(
+            implementation => validateToken(implementation, path)
+          )
+          break
+        case MarkerType.NAMED: {
+          let name = dependency.options.name
+          let implementations = this[PRIVATE.findNestedRegistry](
+            PRIVATE.namedImplementations,
+            target,
+            name
+          )
+          if (implementations) {
+            validateToken(implementations.get(name), path)
+          } else {
+            report(
+              ProblemType.MISSING_IMPLEMENTATION,
+              path,
+              `${formatPath(path)} requires the implementation of the ` +
+                  `${describeToken(target)} interface named ` +
+                  `${JSON.stringify(name)}, but there is none configured`
+            )
+          }
+          break
+        }
+        default:
+          break
+      }
+    }
+
+    let validateToken = (token, path) => {
+      let chain
+      try {
+        chain = this[PRIVATE.getImplementationChain](token)
+      } catch (error) {
+        if (error instanceof CycleError) {
+          report(ProblemType.CYCLE, path.concat(error.path), error.message)
+        } else {
+          // multiple implementations declared using the @implements
+          // decorator, or multiple implementations matching the profiles
+          report(
+            ProblemType.MISSING_IMPLEMENTATION,
+            path.concat([[token]]),
+            error.message
+          )
+        }
+        return
+      }
+
+      let implementation = chain[chain.length - 1]
+      let currentPath = path.concat([chain])
+      if (path.some(step => step[step.length - 1] === implementation)) {
+        report(
+          ProblemType.CYCLE,
+          currentPath,
+          new CycleError(currentPath).message
+        )
+        return
+      }
+
+      if (this[PRIVATE.hasUnmatchedProfiles](implementation)) {
+        report(
+          ProblemType.MISSING_IMPLEMENTATION,
+          currentPath,
+          this[PRIVATE.describeUnmatchedProfiles](implementation)
+        )
+        return
+      }
+      if (this[PRIVATE.findRegistry](PRIVATE.providers, implementation)) {
+        return
+      }
+      if (
+        !(implementation instanceof Function) ||
+        this[PRIVATE.findRegistry](PRIVATE.interfaces, implementation)
+      ) {
+        report(
+          ProblemType.MISSING_IMPLEMENTATION,
+          currentPath,
+          `${formatPath(currentPath)} cannot be resolved, because the ` +
+              `${describeToken(implementation)} interface has no ` +
+              "implementation configured"
+        )
+        return
+      }
+
+      if (validated.has(implementation)) {
+        return
+      }
+      validated.add(implementation)
+
+      let declared = this[PRIVATE.getDeclaredDependencies](implementation)
+      let className = `The ${describeToken(implementation)} class ` +
+          `(${formatPath(currentPath)})`
+      if (declared.source === DependencySource.NONE) {
+        report(
+          ProblemType.NO_DEPENDENCIES,
+          currentPath,
+          `${className} has neither configured dependencies nor specifies ` +
+              "its default dependencies using the " +
+              `${this[PRIVATE.dependenciesGetterName]} static property`
+        )
+      } else if (declared.dependencies.length < implementation.length) {
+        report(
+          ProblemType.ARITY_MISMATCH,
+          currentPath,
+          `${className} has ${declared.dependencies.length} ` +
+              `${declared.source} dependencies, but its constructor ` +
+              `declares ${implementation.length} parameter(s)`
+        )
+      }
+
+      declared.dependencies.forEach((dependency) => {
+        validateDependency(dependency, currentPath)
+      })
+      let properties = this[PRIVATE.getPropertyDependencies](implementation)
+      for (let propertyName of Object.keys(properties)) {
+        validateDependency(properties[propertyName], currentPath)
+      }
+    }
+
+    for (let rootClass of rootClasses) {
+      validateToken(rootClass, [])
+    }
+    while (deferred.length) {
+      validateToken(deferred.shift(), [])
+    }
+
+    return problems
+  }
+
+  /**
+   * Sets the static class getter/property name this dependency injector uses
+   * to retrieve the property dependencies of a class. The property
+   * dependencies are specified as an object mapping the names of the
+   * instance properties to their dependencies, which the dependency injector
+   * assigns to the created instance after calling its constructor.
+   *
+   * Note that this property cannot be changed after this dependency injector
+   * has been used to create a class instance (to prevent behavior
+   * inconsistencies).
+   *
+   * @param {string} newName The new name of the getter/property to use to
+   *        retrieve the property dependencies of a class.
+   */
+  set propertyDependenciesPropertyName(newName) {
+    if (this[PRIVATE.propertyDependenciesGetterName] === newName) {
+      return
+    }
+
+    if (this[PRIVATE.instantiatedClasses].size) {
+      throw new ConfigurationError("The property dependencies " +
+          "getter/property name cannot be changed after this dependency " +
+          "injector has been used to create class instances because of " +
+          "possible behavior consistency issues.")
+    }
+
+    this[PRIVATE.propertyDependenciesGetterName] = newName
+  }
+
+  /**
+   * Returns the current static class getter/property name this dependency
+   * injector uses to retrieve the property dependencies of a class. Defaults
+   * to {@code "injectProperties"}.
+   *
+   * @return {string} The current static class getter/property name this
+   *         dependency injector uses to retrieve the property dependencies
+   *         of a class.
+   */
+  get propertyDependenciesPropertyName() {
+    return this[PRIVATE.propertyDependenciesGetterName]
+  }
+
+  /**
+   * Sets the name of the instance method this dependency injector invokes
+   * once all constructor and property dependencies of a created instance
+   * have been injected.
+   *
+   * Note that this property cannot be changed after this dependency injector
+   * has been used to create a class instance (to prevent behavior
+   * inconsistencies).
+   *
+   * @param {string} newName The new name of the post-construct method.
+   */
+  set postConstructMethodName(newName) {
+    if (this[PRIVATE.postConstructMethodName] === newName) {
+      return
+    }
+
+    if (this[PRIVATE.instantiatedClasses].size) {
+      throw new ConfigurationError("The post-construct method name cannot " +
+          "be changed after this dependency injector has been used to " +
+          "create class instances because of possible behavior consistency " +
+          "issues.")
+    }
+
+    this[PRIVATE.postConstructMethodName] = newName
+  }
+
+  /**
+   * Returns the name of the instance method this dependency injector invokes
+   * once all dependencies of a created instance have been injected. Defaults
+   * to {@code "postConstruct"}.
+   *
+   * @return {string} The name of the post-construct method.
+   */
+  get postConstructMethodName() {
+    return this[PRIVATE.postConstructMethodName]
+  }
+
+  /**
+   * Sets the name of the instance method this dependency injector invokes to
+   * dispose the shared instances it created when they are cleared from the
+   * instance registry.
+   *
+   * @param {string} newName The new name of the dispose method.
+   */
+  set disposeMethodName(newName) {
+    if (typeof newName !== "string") {
+      throw new TypeError("The dispose method name must be a string, " +
+          `${typeof newName} provided`)
+    }
+
+    this[PRIVATE.disposeMethodName] = newName
+  }
+
+  /**
+   * Returns the name of the instance method this dependency injector invokes
+   * to dispose the shared instances it created. Defaults to
+   * {@code "dispose"}.
+   *
+   * @return {string} The name of the dispose method.
+   */
+  get disposeMethodName() {
+    return this[PRIVATE.disposeMethodName]
+  }
+
+  /**
+   * Sets the static class getter/property name this dependency injector uses
+   * to retrieve the default dependencies of a class.
+   *
+   * Note that this property can be changed only once (to prevent configuration
+   * conflicts) and cannot be changed after this dependency injector has been
+   * used to create a class instance (to prevent behavior inconsistencies).
+   *
+   * @param {string} newName The new name of the getter/property to use to
+   *        retrieve the default dependencies of a class.
+   */
+  set dependenciesPropertyName(newName) {
+    if (this[PRIVATE.dependenciesGetterName] === newName) {
+      return
+    }
+
+    if (this[PRIVATE.dependenciesGetterNameChanged]) {
+      throw new ConfigurationError("The dependencies getter/property name " +
+          "has already been changed once on this dependency injector " +
+          `(currently changed to ${this[PRIVATE.dependenciesGetterName]}, ` +
+          `attempted to change to ${newName}). The name wont be changed to ` +
+          "prevent inconsistency during the dependency injector's lifetime.")
+    }
+
+    if (this[PRIVATE.instantiatedClasses].size) {
+      throw new ConfigurationError("The dependencies getter/property name " +
+          "cannot be changed after this dependency injector has been used " +
+          "to create class instances because of possible behavior " +
+          "consistency issues.")
+    }
+
+    this[PRIVATE.dependenciesGetterName] = newName
+    this[PRIVATE.dependenciesGetterNameChanged] = true
+  }
+
+  /**
+   * Returns the current static class getter/property name this dependency
+   * injector uses to retrieve the default dependencies of a class. Defaults to
+   * {@code "dependencies"}.
+   *
+   * @return {string} The current static class getter/property name this
+   *         dependency injector uses to retrieve the default dependencies of a
+   *         class.
+   */
+  get dependenciesPropertyName() {
+    return this[PRIVATE.dependenciesGetterName]
+  }
+
+  /**
+   * Returns a shared instance of the specified class or interface, creating
+   * it if necessary.
+   *
+   * @template T
+   * @param {function(new: T, ...*)} classConstructor The class constructor, or
+   *        interface, of which the dependency injector should provide the
+   *        shared instance.
+   * @param {function(new: Object, ...*)[][]} path The current resolution
+   *        path. Each element is the implementation chain of a class that is
+   *        being created, starting with the requested class or interface and
+   *        ending with the implementing class.
+   * @return {T} The shared instance of the specified class or interface.
+   */
+  [PRIVATE.get](classConstructor, path) {
+    let chain = this[PRIVATE.getImplementationChain](classConstructor)
+    let implementation = chain[chain.length - 1]
+    this[PRIVATE.trackDependents](implementation, path)
+
+    let lifetime = this[PRIVATE.getLifetime](chain)
+    if (lifetime === Lifetime.TRANSIENT) {
+      this[PRIVATE.emit]("resolve", {token: classConstructor, chain, path})
+      return this[PRIVATE.create](classConstructor, [], path)
+    }
+    let owner = this[PRIVATE.getInstanceOwner](lifetime, path.concat([chain]))
+    if (owner !== this) {
+      return owner[PRIVATE.get](classConstructor, path)
+    }
+    this[PRIVATE.emit]("resolve", {token: classConstructor, chain, path})
+
+    if (this[PRIVATE.instances].has(implementation)) {
+      return this[PRIVATE.instances].get(implementation)
+    }
+
+    let providers = this[PRIVATE.findRegistry](PRIVATE.providers,
+        implementation)
+    if (providers && providers.get(implementation).hasOwnProperty("value")) {
+      return providers.get(implementation).value
+    }
+
+    let instance = this[PRIVATE.create](classConstructor, [], path)
+    this[PRIVATE.instances].set(implementation, instance)
+
+    return instance
+  }
+
+  /**
+   * Records the classes being created in the provided resolution path as the
+   * dependents of the provided resolved class, so that their shared instances
+   * can be invalidated once the resolved class is replaced (see the
+   * {@linkcode replaceImplementation} method).
+   *
+   * @param {(function(new: Object, ...*)|symbol|string)} implementation The
+   *        resolved class or provider token.
+   * @param {function(new: Object, ...*)[][]} path The resolution path of the
+   *        class.
+   */
+  [PRIVATE.trackDependents](implementation, path) {
+    if (!path.length) {
+      return
+    }
+
+    if (!this[PRIVATE.dependents].has(implementation)) {
+      this[PRIVATE.dependents].set(implementation, new Set())
+    }
+    let dependents = this[PRIVATE.dependents].get(implementation)
+    for (let chain of path) {
+      dependents.add(chain[chain.length - 1])
+    }
+  }
+
+  /**
+   * Creates a new instance of the specified class or interface, while
+   * tracking the resolution path in order to detect dependency cycles.
+   *
+   * @template T
+   * @param {function(new: T, ...*)} classConstructor The class constructor, or
+   *        interface, of which the dependency injector should create an
+   *        instance.
+   * @param {(function(new: Object, ...*)|*)[]} dependencies The dependencies
+   *        to pass to the class constructor. The configured or default
+   *        dependencies will be used if the array is empty.
+   * @param {function(new: Object, ...*)[][]} path The current resolution
+   *        path. Each element is the implementation chain of a class that is
+   *        being created, starting with the requested class or interface and
+   *        ending with the implementing class.
+   * @return {T} The created instance.
+   * @throws {CycleError} Thrown if the class (or its implementation) is
+   *         already being created higher in the resolution path.
+   */
+  [PRIVATE.create](classConstructor, dependencies, path) {
+    let currentPath = this[PRIVATE.extendPath](classConstructor, path)
+    let chain = currentPath[currentPath.length - 1]
+    let implementation = chain[chain.length - 1]
+
+    let providers = this[PRIVATE.findRegistry](PRIVATE.providers,
+        implementation)
+    if (providers) {
+      return this[PRIVATE.provide](
+        providers.get(implementation),
+        classConstructor,
+        currentPath
+      )
+    }
+
+    dependencies = this[PRIVATE.getDependencies](
+      classConstructor,
+      implementation,
+      dependencies,
+      currentPath
+    )
+
+    let dependencyInstances = dependencies.map((dependency) => {
+      return this[PRIVATE.resolveDependency](dependency, currentPath)
+    })
+
+    let start = now()
+    let instance = new implementation(...dependencyInstances)
+    let constructionTime = now() - start
+
+    // we want to mark this even if custom dependencies have been provided, to
+    // ensure easier debugging and earlier error detection
+    this[PRIVATE.instantiatedClasses].add(implementation)
+
+    let properties = this[PRIVATE.getPropertyDependencies](implementation)
+    for (let propertyName of Object.keys(properties)) {
+      instance[propertyName] = this[PRIVATE.resolveDependency](
+        properties[propertyName],
+        currentPath
+      )
+    }
+
+    this[PRIVATE.postConstruct](instance)
+
+    instance = this[PRIVATE.applyInterceptors](instance, chain)
+    this[PRIVATE.emit]("create", {
+      token: classConstructor,
+      implementation,
+      instance,
+      path: currentPath,
+      constructionTime
+    })
+
+    return instance
+  }
+
+  /**
+   * Returns a promise of a shared instance of the specified class or
+   * interface, creating the instance asynchronously if necessary. The promise
+   * of an instance that is being created is stored in the registry of shared
+   * instances until the instance is ready.
+   *
+   * @template T
+   * @param {function(new: T, ...*)} classConstructor The class constructor, or
+   *        interface, of which the dependency injector should provide the
+   *        shared instance.
+   * @param {function(new: Object, ...*)[][]} path The current resolution
+   *        path.
+   * @return {Promise<T>} A promise that resolves to the shared instance.
+   * @throws {CycleError} Thrown if the class (or its implementation) is
+   *         already being created higher in the resolution path.
+   */
+  [PRIVATE.getAsync](classConstructor, path) {
+    // The cycle has to be detected before looking into the instance registry,
+    // otherwise we would end up waiting for the pending instance promise of
+    // a class that waits for us.
+    let currentPath = this[PRIVATE.extendPath](classConstructor, path)
+    let chain = currentPath[currentPath.length - 1]
+    let implementation = chain[chain.length - 1]
+    this[PRIVATE.trackDependents](implementation, path)
+
+    let lifetime = this[PRIVATE.getLifetime](chain)
+    if (lifetime === Lifetime.TRANSIENT) {
+      this[PRIVATE.emit]("resolve", {token: classConstructor, chain, path})
+      return this[PRIVATE.createAsync](classConstructor, [], path)
+    }
+    let owner = this[PRIVATE.getInstanceOwner](lifetime, currentPath)
+    if (owner !== this) {
+      return owner[PRIVATE.getAsync](classConstructor, path)
+    }
+    this[PRIVATE.emit]("resolve", {token: classConstructor, chain, path})
+
+    if (this[PRIVATE.instances].has(implementation)) {
+      return Promise.resolve(this[PRIVATE.instances].get(implementation))
+    }
+
+    let providers = this[PRIVATE.findRegistry](PRIVATE.providers,
+        implementation)
+    if (providers && providers.get(implementation).hasOwnProperty("value")) {
+      return Promise.resolve(providers.get(implementation).value)
+    }
+
+    let registry = this[PRIVATE.instances]
+    let instancePromise = this[PRIVATE.createAsync](
+      classConstructor,
+      [],
+      path
+    ).then((instance) => {
+      if (registry.get(implementation) === instancePromise) {
+        // re-inserting the instance keeps the registry in creation order
+        registry.delete(implementation)
+        registry.set(implementation, instance)
+      }
+      return instance
+    }, (error) => {
+      if (registry.get(implementation) === instancePromise) {
+        registry.delete(implementation)
+      }
+      throw error
+    })
+    registry.set(implementation, instancePromise)
+
+    return instancePromise
+  }
+
+  /**
+   * Creates a new instance of the specified class or interface
+   * asynchronously. The method waits for all dependencies that are promises
+   * and for the asynchronous initializer of the created instance (if there is
+   * one) to resolve.
+   *
+   * @template T
+   * @param {function(new: T, ...*)} classConstructor The class constructor, or
+   *        interface, of which the dependency injector should create an
+   *        instance.
+   * @param {(function(new: Object, ...*)|*)[]} dependencies The dependencies
+   *        to pass to the class constructor. The configured or default
+   *        dependencies will be used if the array is empty.
+   * @param {function(new: Object, ...*)[][]} path The current resolution
+   *        path.
+   * @return {Promise<T>} A promise that resolves to the created instance, or
+   *         rejects with a {@code ResolutionError}.
+   * @throws {CycleError} Thrown if the class (or its implementation) is
+   *         already being created higher in the resolution path.
+   */
+  [PRIVATE.createAsync](classConstructor, dependencies, path) {
+    let currentPath = this[PRIVATE.extendPath](classConstructor, path)
+    let chain = currentPath[currentPath.length - 1]
+    let implementation = chain[chain.length - 1]
+
+    let providers = this[PRIVATE.findRegistry](PRIVATE.providers,
+        implementation)
+    if (providers) {
+      let provider = providers.get(implementation)
+      return new Promise((resolve) => {
+        resolve(this[PRIVATE.provide](provider, classConstructor, currentPath))
+      }).catch((error) => {
+        throw new ResolutionError(currentPath, error)
+      })
+    }
+
+    dependencies = this[PRIVATE.getDependencies](
+      classConstructor,
+      implementation,
+      dependencies,
+      currentPath
+    )
+
+    // the dependencies are requested synchronously so that the cycles are
+    // detected before any of the involved instance promises is registered
+    let dependencyPromises = mapToPromises(dependencies, (dependency) => {
+      return this[PRIVATE.resolveDependency](dependency, currentPath, true)
+    })
+
+    return Promise.all(dependencyPromises).then((dependencyInstances) => {
+      let start = now()
+      let instance = new implementation(...dependencyInstances)
+      let constructionTime = now() - start
+
+      // we want to mark this even if custom dependencies have been provided,
+      // to ensure easier debugging and earlier error detection
+      this[PRIVATE.instantiatedClasses].add(implementation)
+
+      let properties = this[PRIVATE.getPropertyDependencies](implementation)
+      let propertyNames = Object.keys(properties)
+      let propertyPromises = mapToPromises(propertyNames, (propertyName) => {
+        return this[PRIVATE.resolveDependency](
+          properties[propertyName],
+          currentPath,
+          true
+        )
+      })
+
+      return Promise.all(propertyPromises).then((propertyValues) => {
+        propertyNames.forEach((propertyName, index) => {
+          instance[propertyName] = propertyValues[index]
+        })
+
+        return this[PRIVATE.postConstruct](instance)
+      }).then(() => {
+        let initializer = instance[ASYNC_INITIALIZER_NAME]
+        if (initializer instanceof Function) {
+          return initializer.call(instance)
+        }
+      }).then(() => {
+        instance = this[PRIVATE.applyInterceptors](instance, chain)
+        this[PRIVATE.emit]("create", {
+          token: classConstructor,
+          implementation,
+          instance,
+          path: currentPath,
+          constructionTime
+        })
+        return instance
+      })
+    }).catch((error) => {
+      if (error instanceof ResolutionError) {
+        throw error
+      }
+
+      throw new ResolutionError(currentPath, error)
+    })
+  }
+
+  /**
+   * Extends the provided resolution path by the implementation chain of the
+   * specified class or interface.
+   *
+   * @param {function(new: Object, ...*)} classConstructor The class
+   *        constructor, or interface, that is being resolved.
+   * @param {function(new: Object, ...*)[][]} path The current resolution
+   *        path.
+   * @return {function(new: Object, ...*)[][]} The extended resolution path.
+   * @throws {CycleError} Thrown if the class (or its implementation) is
+   *         already being created higher in the resolution path.
+   * @throws {ResolutionError} Thrown if the class is a declared interface
+   *         that has no implementation.
+   */
+  [PRIVATE.extendPath](classConstructor, path) {
+    let chain = this[PRIVATE.getImplementationChain](classConstructor)
+    let implementation = chain[chain.length - 1]
+
+    let currentPath = path.concat([chain])
+    if (path.some(step => step[step.length - 1] === implementation)) {
+      throw new CycleError(currentPath)
+    }
+
+    if (this[PRIVATE.hasUnmatchedProfiles](implementation)) {
+      let consumerChain = path[path.length - 1] || []
+      throw new ResolutionError(
+        currentPath,
+        null,
+        this[PRIVATE.describeUnmatchedProfiles](implementation) +
+            (path.length ? ` (required by ${formatPath(path)})` : ""),
+        {
+          classConstructor: consumerChain[consumerChain.length - 1] || null,
+          interfaceConstructor: implementation
+        }
+      )
+    }
+
+    if (
+      this[PRIVATE.findRegistry](PRIVATE.interfaces, implementation) &&
+      !this[PRIVATE.findRegistry](PRIVATE.providers, implementation)
+    ) {
+      throw new ResolutionError(
+        currentPath,
+        null,
+        `Cannot resolve ${formatPath(currentPath)}, because the ` +
+            `${describeToken(implementation)} interface has no ` +
+            "implementation configured in this dependency injector"
+      )
+    }
+
+    return currentPath
+  }
+
+  /**
+   * Resolves the provided dependency to the value that should be passed to
+   * a class constructor.
+   *
+   * @param {*} dependency The dependency to resolve.
+   * @param {function(new: Object, ...*)[][]} path The resolution path of the
+   *        class that has the dependency.
+   * @param {boolean=} asynchronous Whether the dependency is resolved for an
+   *        instance created asynchronously. The classes are resolved using the
+   *        {@code PRIVATE.getAsync} method in such case.
+   * @return {*} The resolved dependency. The dependency may be a promise if
+   *         it is resolved asynchronously.
+   */
+  [PRIVATE.resolveDependency](dependency, path, asynchronous = false) {
+    let get = asynchronous ? PRIVATE.getAsync : PRIVATE.get
+
+    if (dependency instanceof DependencyMarker) {
+      let target = dependency.target
+      switch (dependency.type) {
+        case MarkerType.VALUE:
+        case MarkerType.CLASS_REF:
+          return target
+        case MarkerType.LAZY: {
+          let token = this[PRIVATE.applyContext](target, path)
+          let resolved = false
+          let instance
+          return () => {
+            if (!resolved) {
+              instance = this.get(token)
+              resolved = true
+            }
+            return instance
+          }
+        }
+        case MarkerType.PROVIDER: {
+          let token = this[PRIVATE.applyContext](target, path)
+          return () => this.create(token)
+        }
+        case MarkerType.OPTIONAL: {
+          let token = this[PRIVATE.applyContext](target, path)
+          if (!this[PRIVATE.isRegistered](token)) {
+            return dependency.options.fallback
+          }
+          return this[get](token, path)
+        }
+        case MarkerType.ALL: {
+          let instances = mapToPromises(
+            this[PRIVATE.getAllImplementations](target),
+            implementation => this[get](implementation, path)
+          )
+          return asynchronous ? Promise.all(instances) : instances
+        }
+        case MarkerType.NAMED: {
+          let implementation = this[PRIVATE.getNamedImplementation](
+            target,
+            dependency.options.name,
+            path
+          )
+          return this[get](implementation, path)
+        }
+        default:
+          throw new Error(`Unknown dependency marker type: ${dependency.type}`)
+      }
+    }
+
+    let token = this[PRIVATE.applyContext](dependency, path)
+    if ((token !== dependency) || this[PRIVATE.isToken](dependency)) {
+      return this[get](token, path)
+    }
+
+    return dependency
+  }
+
+  /**
+   * Applies the contextual implementation rules (see the
+   * {@linkcode setImplementation} method) of the class that has the provided
+   * dependency.
+   *
+   * @param {*} dependency The dependency.
+   * @param {function(new: Object, ...*)[][]} path The resolution path of the
+   *        class that has the dependency.
+   * @return {*} The implementation to use for the dependency in the context
+   *         of the class, or the provided dependency if there is no
+   *         contextual rule for it.
+   */
+  [PRIVATE.applyContext](dependency, path) {
+    if (!path.length) {
+      return dependency
+    }
+
+    let consumerChain = path[path.length - 1]
+    let consumer = consumerChain[consumerChain.length - 1]
+    let rules = this[PRIVATE.findNestedRegistry](
+      PRIVATE.contextualImplementations,
+      consumer,
+      dependency
+    )
+
+    return rules ? rules.get(dependency) : dependency
+  }
+
+  /**
+   * Returns the implementation of the specified interface registered under
+   * the provided name.
+   *
+   * @param {(function(new: Object)|symbol|string)} interfaceConstructor The
+   *        interface.
+   * @param {string} name The name of the implementation.
+   * @param {function(new: Object, ...*)[][]} path The resolution path of the
+   *        class that has the interface as a dependency.
+   * @return {(function(new: Object, ...*)|symbol|string)} The named
+   *         implementation.
+   * @throws {ResolutionError} Thrown if there is no implementation of the
+   *         specified name.
+   */
+  [PRIVATE.getNamedImplementation](interfaceConstructor, name, path) {
+    let implementations = this[PRIVATE.findNestedRegistry](
+      PRIVATE.namedImplementations,
+      interfaceConstructor,
+      name
+    )
+    if (!implementations) {
+      let consumerChain = path[path.length - 1] || []
+      throw new ResolutionError(
+        path.concat([[interfaceConstructor]]),
+        null,
+        "There is no implementation of the " +
+            `${describeToken(interfaceConstructor)} interface named ` +
+            `${JSON.stringify(name)} configured in this dependency injector` +
+            (path.length ? ` (required by ${formatPath(path)})` : ""),
+        {
+          classConstructor: consumerChain[consumerChain.length - 1] || null,
+          interfaceConstructor
+        }
+      )
+    }
+
+    return implementations.get(name)
+  }
+
+  /**
+   * Tests whether the provided dependency should be resolved by this
+   * dependency injector, or passed to the class constructor without
+   * modification. Classes and interfaces are always resolved, symbols and
+   * strings are resolved only if they are registered provider tokens or
+   * interfaces.
+   *
+   * @param {*} dependency The dependency to test.
+   * @return {boolean} {@code true} if the dependency should be resolved.
+   */
+  [PRIVATE.isToken](dependency) {
+    if (dependency instanceof Function) {
+      return true
+    }
+
+    return !!(
+      this[PRIVATE.findRegistry](PRIVATE.providers, dependency) ||
+      this[PRIVATE.findRegistry](PRIVATE.implementations, dependency) ||
+      this[PRIVATE.findRegistry](PRIVATE.profileImplementations, dependency)
+    )
+  }
+
+  /**
+   * Checks that the provided implementation (after following the
+   * "implemented-by" chain) conforms to the specified interface, if this
+   * dependency injector has the {@code checkImplementations} option enabled.
+   * Interfaces and implementations that are provider tokens are not checked.
+   *
+   * @param {(function(new: Object)|symbol|string)} interfaceConstructor The
+   *        interface.
+   * @param {(function(new: Object, ...*)|symbol|string)} implementation The
+   *        implementation of the interface.
+   * @throws {ConfigurationError} Thrown if the implementation does not
+   *         conform to the interface.
+   */
+  [PRIVATE.checkConformance](interfaceConstructor, implementation) {
+    if (!this[PRIVATE.checkImplementations]) {
+      return
+    }
+
+    let implementationClass = this[PRIVATE.getImplementation](implementation)
+    if (
+      !(interfaceConstructor instanceof Function) ||
+      !(implementationClass instanceof Function) ||
+      this[PRIVATE.findRegistry](PRIVATE.providers, implementationClass)
+    ) {
+      return
+    }
+
+    let problems = findConformanceProblems(
+      interfaceConstructor,
+      implementationClass
+    )
+    if (problems.length) {
+      throw new ConfigurationError(`The ` +
+          `${describeToken(implementationClass)} class does not conform to ` +
+          `the ${describeToken(interfaceConstructor)} interface: ` +
+          problems.join(", "), {
+            classConstructor: implementationClass,
+            interfaceConstructor
+          })
+    }
+  }
+
+  /**
+   * Stores the provided binding in the specified registry of nested
+   * registries of this dependency injector.
+   *
+   * @param {symbol} registry The private symbol of the registry of nested
+   *        registries.
+   * @param {*} outerKey The key of the nested registry.
+   * @param {*} key The key of the binding in the nested registry.
+   * @param {*} value The bound value.
+   * @param {string} conflictMessage The message of the error to throw if the
+   *        key is already bound in the nested registry.
+   * @param {{classConstructor: *, interfaceConstructor: *}} details The
+   *        offending class and interface to report in the error.
+   */
+  [PRIVATE.setNestedBinding](
+    registry,
+    outerKey,
+    key,
+    value,
+    conflictMessage,
+    details
+  ) {
+    if (!this[registry].has(outerKey)) {
+      this[registry].set(outerKey, new Map())
+    }
+
+    let nestedRegistry = this[registry].get(outerKey)
+    if (nestedRegistry.has(key)) {
+      throw new ConfigurationError(conflictMessage, details)
+    }
+
+    nestedRegistry.set(key, value)
+  }
+
+  /**
+   * Tests whether the provided class, interface or provider token is
+   * registered in this dependency injector (or its ancestors). See the
+   * {@linkcode optional} method for the definition of a registered
+   * dependency.
+   *
+   * @param {(function(new: Object, ...*)|symbol|string)} token The class,
+   *        interface or provider token.
+   * @return {boolean} {@code true} if the token is registered.
+   */
+  [PRIVATE.isRegistered](token) {
+    let implementation = this[PRIVATE.getImplementation](token)
+    if (this[PRIVATE.findRegistry](PRIVATE.providers, implementation)) {
+      return true
+    }
+    if (
+      !(implementation instanceof Function) ||
+      this[PRIVATE.findRegistry](PRIVATE.interfaces, implementation)
+    ) {
+      return false
+    }
+
+    return (implementation !== token) ||
+        !!this[PRIVATE.findRegistry](PRIVATE.dependencies, implementation) ||
+        implementation.hasOwnProperty(this[PRIVATE.dependenciesGetterName]) ||
+        !!getDeclaredDependencies(implementation) ||
+        !!this[PRIVATE.findRegistry](PRIVATE.instances, implementation)
+  }
+
+  /**
+   * Registers the provided factory or value provider for the specified
+   * token.
+   *
+   * @param {(function(new: Object, ...*)|symbol|string)} token The class or
+   *        provider token.
+   * @param {({factory: function(DependencyInjector): *}|{value: *})} provider
+   *        The provider to register.
+   */
+  [PRIVATE.registerProvider](token, provider) {
+    this[PRIVATE.bind]("provider", token, () => {
+      let tokenType = typeof token
+      if (
+        !(token instanceof Function) &&
+        (tokenType !== "symbol") &&
+        (tokenType !== "string")
+      ) {
+        throw new TypeError("The provider token must be a class, a symbol or " +
+            `a string, ${tokenType} provided`)
+      }
+      if (this[PRIVATE.providers].has(token)) {
+        throw new ConfigurationError(`The ${describeToken(token)} token ` +
+            "already has a factory or value provider registered in this " +
+            "dependency injector", {classConstructor: token})
+      }
+      if (
+        this[PRIVATE.findRegistry](PRIVATE.implementations, token) ||
+        this[PRIVATE.findRegistry](PRIVATE.profileImplementations, token)
+      ) {
+        throw new ConfigurationError(`The provided ${describeToken(token)} ` +
+            "token is already registered as an interface in this dependency " +
+            "injector", {interfaceConstructor: token})
+      }
+      if (this[PRIVATE.findRegistry](PRIVATE.dependencies, token)) {
+        throw new ConfigurationError(`The provided ${describeToken(token)} ` +
+            "class is already configured with dependencies in this " +
+            "dependency injector", {classConstructor: token})
+      }
+      if (this[PRIVATE.instantiatedClasses].has(token)) {
+        throw new ConfigurationError(`The ${describeToken(token)} class ` +
+            "cannot have a provider registered since an instance has already " +
+            "been created", {classConstructor: token})
+      }
+
+      this[PRIVATE.providers].set(token, provider)
+    })
+  }
+
+  /**
+   * Registers a binding of the specified kind for the provided token using
+   * the provided callback, tracking the module that registers the binding
+   * (if a module is being installed). Errors thrown by the callback are
+   * amended with the names of the conflicting modules.
+   *
+   * @param {string} kind The kind of the binding, for example
+   *        {@code "implementation"} or {@code "lifetime"}.
+   * @param {*} token The class, interface or provider token being bound.
+   * @param {function()} register The callback registering the binding.
+   */
+  [PRIVATE.bind](kind, token, register) {
+    let installing = this[PRIVATE.installingModules]
+    let module = installing[installing.length - 1]
+    try {
+      register()
+    } catch (error) {
+      let owner = this[PRIVATE.findBindingOwner](kind, token)
+      if (!owner || (owner === module) || !(error instanceof Error)) {
+        throw error
+      }
+
+      let message = module ?
+          `The ${describeModule(module)} module conflicts with the ` +
+              `${describeModule(owner)} module: ${error.message}` :
+          `The binding conflicts with the ${describeModule(owner)} module: ` +
+              error.message
+      throw new ConfigurationError(message, {
+        classConstructor: error.classConstructor || null,
+        interfaceConstructor: error.interfaceConstructor || null,
+        cause: error
+      })
+    }
+
+    if (module) {
+      if (!this[PRIVATE.bindingOwners].has(token)) {
+        this[PRIVATE.bindingOwners].set(token, new Map())
+      }
+      let owners = this[PRIVATE.bindingOwners].get(token)
+      if (!owners.has(kind)) {
+        owners.set(kind, module)
+      }
+    }
+  }
+
+  /**
+   * Finds the module that registered a binding of the specified kind for the
+   * provided token in this dependency injector or its ancestors, or any
+   * binding of the token if there is no binding of the specified kind.
+   *
+   * @param {string} kind The kind of the binding.
+   * @param {*} token The class, interface or provider token.
+   * @return {?Object} The module that registered the binding, or
+   *         {@code null} if the token has not been bound by a module.
+   */
+  [PRIVATE.findBindingOwner](kind, token) {
+    let fallback = null
+    for (let injector = this; injector; injector = injector[PRIVATE.parent]) {
+      let owners = injector[PRIVATE.bindingOwners].get(token)
+      if (owners && owners.has(kind)) {
+        return owners.get(kind)
+      }
+      if (owners && !fallback) {
+        fallback = owners.values().next().value
+      }
+    }
+
+    return fallback
+  }
+
+  /**
+   * Registers the provided interceptor for the instances whose
+   * implementation chain matches the provided predicate.
+   *
+   * @param {function((function(new: Object, ...*)|symbol|string)[]): boolean}
+   *        matches The predicate testing the implementation chain of an
+   *        instance.
+   * @param {function(Object): *} interceptor The interceptor.
+   */
+  [PRIVATE.addInterceptor](matches, interceptor) {
+    if (!(interceptor instanceof Function)) {
+      throw new TypeError("The interceptor must be a function, " +
+          `${typeof interceptor} provided`)
+    }
+
+    this[PRIVATE.interceptors].push({matches, interceptor})
+  }
+
+  /**
+   * Wraps the provided instance in an interception proxy if there are any
+   * interceptors matching its implementation chain, registered in this
+   * dependency injector or its ancestors.
+   *
+   * @template T
+   * @param {T} instance The created instance.
+   * @param {(function(new: Object, ...*)|symbol|string)[]} chain The
+   *        implementation chain of the instance.
+   * @return {T} The proxy of the instance, or the instance itself if no
+   *         interceptor matches it.
+   */
+  [PRIVATE.applyInterceptors](instance, chain) {
+    let interceptors = []
+    for (let injector = this; injector; injector = injector[PRIVATE.parent]) {
+      interceptors = injector[PRIVATE.interceptors].filter(
+        ({matches}) => matches(chain)
+      ).map(({interceptor}) => interceptor).concat(interceptors)
+    }
+    if (!interceptors.length || !(instance instanceof Object)) {
+      return instance
+    }
+
+    return createInterceptionProxy(
+      instance,
+      chain[chain.length - 1],
+      interceptors
+    )
+  }
+
+  /**
+   * Provides an instance using the provided factory or value provider.
+   *
+   * @param {({factory: function(DependencyInjector): *}|{value: *})} provider
+   *        The provider.
+   * @param {(function(new: Object, ...*)|symbol|string)} classConstructor The
+   *        requested class, interface or provider token.
+   * @param {function(new: Object, ...*)[][]} path The resolution path of the
+   *        instance, ending with its implementation chain.
+   * @return {*} The provided instance.
+   */
+  [PRIVATE.provide](provider, classConstructor, path) {
+    if (!provider.factory) {
+      return provider.value
+    }
+
+    let chain = path[path.length - 1]
+    let providerPaths = this[PRIVATE.providerPaths]
+    let start = now()
+    let instance
+    providerPaths.push(path)
+    try {
+      instance = provider.factory(this)
+    } finally {
+      providerPaths.pop()
+    }
+    this[PRIVATE.emit]("create", {
+      token: classConstructor,
+      implementation: chain[chain.length - 1],
+      instance,
+      path,
+      constructionTime: now() - start
+    })
+
+    return instance
+  }
+
+  /**
+   * Registers the provided listener of the specified event.
+   *
+   * @param {string} event The name of the event.
+   * @param {function(Object)} listener The listener.
+   * @return {function()} A function that unregisters the listener.
+   */
+  [PRIVATE.addListener](event, listener) {
+    if (!(listener instanceof Function)) {
+      throw new TypeError("The listener must be a function, " +
+          `${typeof listener} provided`)
+    }
+
+    if (!this[PRIVATE.listeners].has(event)) {
+      this[PRIVATE.listeners].set(event, [])
+    }
+    this[PRIVATE.listeners].get(event).push(listener)
+
+    return () => {
+      let listeners = this[PRIVATE.listeners].get(event)
+      let index = listeners.indexOf(listener)
+      if (index > -1) {
+        listeners.splice(index, 1)
+      }
+    }
+  }
+
+  /**
+   * Invokes the listeners of the specified event registered in this
+   * dependency injector and its ancestors.
+   *
+   * The errors thrown by the listeners do not interrupt the operation that
+   * emitted the event, they are reported as warnings instead (the errors
+   * thrown by the warning listeners are passed to the logger only).
+   *
+   * @param {string} event The name of the event.
+   * @param {Object} data The event data passed to the listeners.
+   */
+  [PRIVATE.emit](event, data) {
+    for (let injector = this; injector; injector = injector[PRIVATE.parent]) {
+      let listeners = injector[PRIVATE.listeners].get(event)
+      for (let listener of (listeners ? listeners.slice() : [])) {
+        try {
+          listener(data)
+        } catch (error) {
+          let message = `A listener of the ${event} event has thrown an ` +
+              `error: ${error}`
+          if (event === "warning") {
+            this[PRIVATE.logger].warn(message)
+          } else {
+            this[PRIVATE.warn](message, {
+              token: data.token,
+              implementation: data.implementation
+            })
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Issues the provided warning - notifies the warning listeners and passes
+   * the warning to the logger.
+   *
+   * @param {string} message The warning message.
+   * @param {{token: *, implementation: *}} details The class, interface or
+   *        provider token, and the implementation the warning is about.
+   */
+  [PRIVATE.warn](message, details) {
+    this[PRIVATE.emit]("warning", Object.assign({message}, details))
+    this[PRIVATE.logger].warn(message)
+  }
+
+  /**
+   * Returns the dependencies to pass to the constructor of the specified
+   * implementation class. These are the provided dependencies if there are
+   * any, the configured dependencies if the class has been configured, or the
+   * default dependencies specified by the class.
+   *
+   * @param {function(new: Object, ...*)} classConstructor The requested class
+   *        constructor or interface.
+   * @param {function(new: Object, ...*)} implementation The implementation
+   *        class that is going to be instantiated.
+   * @param {(function(new: Object, ...*)|*)[]} dependencies The dependencies
+   *        provided by the caller.
+   * @param {function(new: Object, ...*)[][]} path The resolution path of the
+   *        implementation class.
+   * @return {(function(new: Object, ...*)|*)[]} The dependencies to use.
+   * @throws {ResolutionError} Thrown if the strict mode is enabled and the
+   *         implementation class has no dependencies provided, configured
+   *         or declared.
+   */
+  [PRIVATE.getDependencies](
+    classConstructor,
+    implementation,
+    dependencies,
+    path
+  ) {
+    if (!dependencies.length) {
+      let declared = this[PRIVATE.getDeclaredDependencies](implementation)
+      dependencies = declared.dependencies
+      if (declared.source === DependencySource.NONE) {
+        let dependenciesGetterName = this[PRIVATE.dependenciesGetterName]
+        let message = "No dependencies were provided for the " +
+            `${classConstructor.name} interface/class (implemented by the ` +
+            `${implementation.name} class), nor were any configured for the ` +
+            "the implementation class, nor does the implementation class " +
+            "specify its default dependencies using the " +
+            dependenciesGetterName + " static property"
+        if (this[PRIVATE.strict]) {
+          throw new ResolutionError(path, null, `Cannot resolve ` +
+              `${formatPath(path)}: ${message}`)
+        }
+        this[PRIVATE.warn](
+          `${message}. The constructor will be called with no arguments`,
+          {token: classConstructor, implementation}
+        )
+      }
+    }
+
+    return dependencies
+  }
+
+  /**
+   * Describes the provided class, interface or provider token as a node of
+   * the dependency graph.
+   *
+   * @param {string} id The identifier of the node.
+   * @param {(function(new: Object, ...*)|symbol|string)} token The class,
+   *        interface or provider token.
+   * @param {Map<*, {id: string}>} nodes The nodes of the graph, used to
+   *        describe the implementation of an interface.
+   * @return {Object} The node of the dependency graph.
+   */
+  [PRIVATE.describeNode](id, token, nodes) {
+    let providers = this[PRIVATE.findRegistry](PRIVATE.providers, token)
+    let chain = this[PRIVATE.getImplementationChain](token)
+    let isInterface = (chain.length > 1) ||
+        !!this[PRIVATE.findRegistry](PRIVATE.interfaces, token) ||
+        !!this[PRIVATE.getAllImplementations](token).length ||
+        this[PRIVATE.collectKeys](PRIVATE.namedImplementations).has(token)
+
+    let type
+    if (providers) {
+      type = providers.get(token).factory ? "factory" : "value"
+    } else if (isInterface) {
+      type = "interface"
+    } else {
+      type = (token instanceof Function) ? "class" : "token"
+    }
+
+    let node = {
+      id,
+      name: describeToken(token),
+      type,
+      lifetime: this[PRIVATE.getLifetime](chain),
+      sharedInstance: !!this[PRIVATE.findRegistry](
+        PRIVATE.instances,
+        chain[chain.length - 1]
+      )
+    }
+    if (type === "class") {
+      node.dependencySource = this[PRIVATE.getDeclaredDependencies](
+        token
+      ).source
+    }
+    if (chain.length > 1) {
+      node.implementationChain = chain.map(link => nodes.get(link).id)
+    }
+
+    return node
+  }
+
+  /**
+   * Collects the keys of the specified registry in this dependency injector
+   * and its ancestors.
+   *
+   * @param {symbol} registry The private symbol of the registry.
+   * @return {Set<*>} The keys of the registry.
+   */
+  [PRIVATE.collectKeys](registry) {
+    let keys = new Set()
+    for (let injector = this; injector; injector = injector[PRIVATE.parent]) {
+      for (let key of injector[registry].keys()) {
+        keys.add(key)
+      }
+    }
+
+    return keys
+  }
+
+  /**
+   * Returns the dependencies configured for the specified implementation
+   * class, or the default dependencies specified by the class (using the
+   * {@code @inject} decorator or the static property) if it has not been
+   * configured, together with the source of the dependencies.
+   *
+   * @param {function(new: Object, ...*)} implementation The implementation
+   *        class.
+   * @return {{source: DependencySource, dependencies: *[]}} The dependencies
+   *         of the class and their source.
+   */
+  [PRIVATE.getDeclaredDependencies](implementation) {
+    let configuredDependencies = this[PRIVATE.findRegistry](
+      PRIVATE.dependencies,
+      implementation
+    )
+    if (
+      configuredDependencies &&
+      configuredDependencies.get(implementation).length
+    ) {
+      return {
+        source: DependencySource.CONFIGURED,
+        dependencies: configuredDependencies.get(implementation)
+      }
+    }
+
+    let decoratedDependencies = getDeclaredDependencies(implementation)
+    if (decoratedDependencies) {
+      return {
+        source: DependencySource.STATIC,
+        dependencies: decoratedDependencies
+      }
+    }
+
+    let dependenciesGetterName = this[PRIVATE.dependenciesGetterName]
+    if (implementation.hasOwnProperty(dependenciesGetterName)) {
+      return {
+        source: DependencySource.STATIC,
+        dependencies: implementation[dependenciesGetterName]
+      }
+    }
+
+    return {
+      source: DependencySource.NONE,
+      dependencies: []
+    }
+  }
+
+  /**
+   * Retrieves the implementation class configured as the current default
+   * implementation of the specified interface. If another interface is
+   * specified as the implementation, the method follows the implementation
+   * chain until it finds the implementation class.
+   *
+   * @param {function(new: Object)} interfaceConstructor The interface for
+   *        which the method should retrieve the configured implementation
+   *        class.
+   * @return {function(new: Object, ...*)} The currently configured
+   *         implementation of the interface, or the provided interface if no
+   *         implementation is known.
+   */
+  [PRIVATE.getImplementation](interfaceConstructor) {
+    let chain = this[PRIVATE.getImplementationChain](interfaceConstructor)
+    return chain[chain.length - 1]
+  }
+
+  /**
+   * Retrieves the "implemented-by" chain of the specified interface, starting
+   * with the interface itself and ending with the implementation class.
+   *
+   * @param {function(new: Object)} interfaceConstructor The interface for
+   *        which the method should retrieve the implementation chain.
+   * @return {function(new: Object, ...*)[]} The implementation chain of the
+   *         interface. The chain contains only the provided interface if no
+   *         implementation is known.
+   * @throws {CycleError} Thrown if the interfaces are configured to implement
+   *         each other in a cycle.
+   */
+  [PRIVATE.getImplementationChain](interfaceConstructor) {
+    let chain = [interfaceConstructor]
+    let current = interfaceConstructor
+    while (current = this[PRIVATE.getDirectImplementation](current)) {
+      if (chain.indexOf(current) > -1) {
+        throw new CycleError([chain.concat(current)])
+      }
+      chain.push(current)
+    }
+
+    return chain
+  }
+
+  /**
+   * Returns the direct implementation of the specified interface - the
+   * implementation set using the {@linkcode setImplementation} method (the
+   * implementation bound to the active profiles taking precedence over the
+   * default one set in the same dependency injector), or the class declared
+   * to implement the interface using the {@code @implements} decorator if
+   * the interface has neither an implementation nor a provider set.
+   *
+   * @param {(function(new: Object)|symbol|string)} interfaceConstructor The
+   *        interface.
+   * @return {?(function(new: Object, ...*)|symbol|string)} The direct
+   *         implementation of the interface, or {@code null} if the
+   *         interface has none (including the case of an interface having
+   *         only implementations bound to profiles, none of which is active,
+   *         see the {@code PRIVATE.hasUnmatchedProfiles} method).
+   * @throws {ConfigurationError} Thrown if multiple classes declare to
+   *         implement the interface using the decorator, or if the
+   *         implementations bound to multiple profiles match the active
+   *         profiles.
+   */
+  [PRIVATE.getDirectImplementation](interfaceConstructor) {
+    let hasProfileImplementations = false
+    for (let injector = this; injector; injector = injector[PRIVATE.parent]) {
+      let implementation = this[PRIVATE.getProfileImplementation](
+        injector,
+        interfaceConstructor
+      )
+      if (implementation !== null) {
+        return implementation
+      }
+      if (injector[PRIVATE.profileImplementations].has(interfaceConstructor)) {
+        hasProfileImplementations = true
+      }
+      if (injector[PRIVATE.implementations].has(interfaceConstructor)) {
+        return injector[PRIVATE.implementations].get(interfaceConstructor)
+      }
+    }
+    if (
+      hasProfileImplementations ||
+      this[PRIVATE.findRegistry](PRIVATE.providers, interfaceConstructor)
+    ) {
+      return null
+    }
+
+    return getDeclaredImplementation(interfaceConstructor)
+  }
+
+  /**
+   * Tests whether the provided token, found at the end of an implementation
+   * chain, is an interface that has implementations bound to profiles, none
+   * of which is active, and no default implementation. Such an interface
+   * cannot be resolved.
+   *
+   * @param {(function(new: Object, ...*)|symbol|string)} token The last
+   *        token of an implementation chain.
+   * @return {boolean} {@code true} if the token is an interface without an
+   *         implementation matching the active profiles.
+   */
+  [PRIVATE.hasUnmatchedProfiles](token) {
+    return !!this[PRIVATE.findRegistry](PRIVATE.profileImplementations, token)
+  }
+
+  /**
+   * Returns the message describing that the specified interface has no
+   * implementation matching the active profiles.
+   *
+   * @param {(function(new: Object)|symbol|string)} interfaceConstructor The
+   *        interface.
+   * @return {string} The message.
+   */
+  [PRIVATE.describeUnmatchedProfiles](interfaceConstructor) {
+    let profiles = this[PRIVATE.profiles].join(", ") || "none"
+    return "There is no implementation of the " +
+        `${describeToken(interfaceConstructor)} interface matching the ` +
+        `active profiles (${profiles}) and the interface has no default ` +
+        "implementation"
+  }
+
+  /**
+   * Returns the implementation of the specified interface bound to the
+   * active profiles of this dependency injector in the provided dependency
+   * injector (this one or one of its ancestors).
+   *
+   * @param {DependencyInjector} injector The dependency injector whose
+   *        bindings should be used.
+   * @param {(function(new: Object)|symbol|string)} interfaceConstructor The
+   *        interface.
+   * @return {?(function(new: Object, ...*)|symbol|string)} The
+   *         implementation bound to the active profiles, or {@code null} if
+   *         no implementation bound to a profile matches them.
+   * @throws {ConfigurationError} Thrown if implementations bound to
+   *         multiple profiles match the active profiles.
+   */
+  [PRIVATE.getProfileImplementation](injector, interfaceConstructor) {
+    let profiles = this[PRIVATE.profiles]
+    let bindings = injector[PRIVATE.profileImplementations].get(
+      interfaceConstructor
+    ) || []
+    let candidates = bindings.filter(({profile}) => {
+      if (profile instanceof Function) {
+        return !!profile(profiles)
+      }
+
+      return profiles.indexOf(profile) > -1
+    }).map(binding => binding.implementation)
+    if (candidates.length > 1) {
+      throw new ConfigurationError("Multiple implementations of the " +
+          `${describeToken(interfaceConstructor)} interface match the active ` +
+          `profiles (${profiles.join(", ") || "none"}): ` +
+          candidates.map(describeToken).join(", "), {interfaceConstructor})
+    }
+
+    return candidates.length ? candidates[0] : null
+  }
+
+  /**
+   * Returns all implementations added to the specified interface in this
+   * dependency injector and its ancestors, ordered by their priority and the
+   * order in which they have been added.
+   *
+   * @param {(function(new: Object)|symbol|string)} interfaceConstructor The
+   *        interface.
+   * @return {(function(new: Object, ...*)|symbol|string)[]} The
+   *         implementations of the interface.
+   */
+  [PRIVATE.getAllImplementations](interfaceConstructor) {
+    let bindings = []
+    let injector = this
+    while (injector) {
+      let registry = injector[PRIVATE.multiImplementations]
+      if (registry.has(interfaceConstructor)) {
+        bindings = registry.get(interfaceConstructor).concat(bindings)
+      }
+      injector = injector[PRIVATE.parent]
+    }
+
+    // Array.prototype.sort is not guaranteed to be stable, so the original
+    // order is used to break the ties
+    return bindings.map((binding, index) => ({binding, index})).sort(
+      (a, b) => (b.binding.priority - a.binding.priority) || (a.index - b.index)
+    ).map(({binding}) => binding.implementation)
+  }
+
+  /**
+   * Finds the nested registry containing the specified key, looking first
+   * into this dependency injector and then into its ancestors. A nested
+   * registry is a map stored in a registry under the outer key.
+   *
+   * @param {symbol} registry The private symbol of the registry of nested
+   *        registries.
+   * @param {*} outerKey The key of the nested registry.
+   * @param {*} key The key to look up in the nested registry.
+   * @return {?Map<*, *>} The nested registry of the nearest dependency
+   *         injector containing the key, or {@code null} if no dependency
+   *         injector in the hierarchy contains it.
+   */
+  [PRIVATE.findNestedRegistry](registry, outerKey, key) {
+    let injector = this
+    while (injector) {
+      let nestedRegistry = injector[registry].get(outerKey)
+      if (nestedRegistry && nestedRegistry.has(key)) {
+        return nestedRegistry
+      }
+      injector = injector[PRIVATE.parent]
+    }
+
+    return null
+  }
+
+  /**
+   * Finds the registry containing the specified key, looking first into this
+   * dependency injector and then into its ancestors.
+   *
+   * @param {symbol} registry The private symbol of the registry
+   *        ({@code PRIVATE.dependencies}, {@code PRIVATE.implementations} or
+   *        {@code PRIVATE.instances}).
+   * @param {*} key The key to look up.
+   * @return {?Map<*, *>} The registry of the nearest dependency injector
+   *         containing the key, or {@code null} if no dependency injector in
+   *         the hierarchy contains it.
+   */
+  [PRIVATE.findRegistry](registry, key) {
+    let injector = this
+    while (injector) {
+      if (injector[registry].has(key)) {
+        return injector[registry]
+      }
+      injector = injector[PRIVATE.parent]
+    }
+
+    return null
+  }
+
+  /**
+   * Returns the lifetime of the instances of the class or interface
+   * represented by the provided implementation chain. The lifetimes set for
+   * interfaces take precedence over the lifetimes of their implementations.
+   *
+   * @param {(function(new: Object, ...*)|symbol|string)[]} chain The
+   *        implementation chain of the class or interface.
+   * @return {Lifetime} The lifetime of the instances.
+   */
+  [PRIVATE.getLifetime](chain) {
+    for (let token of chain) {
+      let lifetimes = this[PRIVATE.findRegistry](PRIVATE.lifetimes, token)
+      if (lifetimes) {
+        return lifetimes.get(token)
+      }
+    }
+    for (let token of chain) {
+      let lifetime = getDeclaredLifetime(token)
+      if (lifetime) {
+        return lifetime
+      }
+    }
+
+    return Lifetime.SINGLETON
+  }
+
+  /**
+   * Returns the resolution path of the instance currently being provided by
+   * a factory of this dependency injector, so that the instances requested
+   * by the factory are resolved as the dependencies of the provided instance
+   * (which allows detecting the dependency cycles that involve factories).
+   * Only the synchronous part of the factory is tracked.
+   *
+   * @return {function(new: Object, ...*)[][]} The resolution path, empty if
+   *         no factory is currently being invoked.
+   */
+  [PRIVATE.getProviderPath]() {
+    let providerPaths = this[PRIVATE.providerPaths]
+    return providerPaths.length ? providerPaths[providerPaths.length - 1] : []
+  }
+
+  /**
+   * Notifies the resolve listeners about the provided class or interface
+   * being requested using the {@linkcode create} or {@linkcode createAsync}
+   * method, so that the listeners can tell the dependencies of the new
+   * instance from the dependencies of the previous requests.
+   *
+   * @param {function(new: Object, ...*)} classConstructor The requested class
+   *        or interface.
+   * @param {function(new: Object, ...*)[][]} path The current resolution
+   *        path.
+   */
+  [PRIVATE.emitCreationRequest](classConstructor, path) {
+    let chain = this[PRIVATE.getImplementationChain](classConstructor)
+    this[PRIVATE.emit]("resolve", {token: classConstructor, chain, path})
+  }
+
+  /**
+   * Returns the scope created by the {@linkcode runInScope} method of this
+   * dependency injector that is active in the current asynchronous context.
+   *
+   * @return {DependencyInjector} The active scope, or this dependency
+   *         injector if there is none.
+   */
+  [PRIVATE.getActiveScope]() {
+    let activeScopes = this[PRIVATE.asyncContext].getStore()
+    if ((activeScopes instanceof Map) && activeScopes.has(this)) {
+      return activeScopes.get(this)
+    }
+
+    return this
+  }
+
+  /**
+   * Returns the dependency injector in this dependency injector's hierarchy
+   * that creates and holds the instance of the provided implementation chain
+   * - the nearest dependency injector that binds the chain (see the
+   * {@code PRIVATE.hasOwnBinding} method) or whose parent resolves the chain
+   * differently, so that the instance is shared by all its descendants.
+   * Singletons of the chains bound by no dependency injector are held by the
+   * root dependency injector. Scoped instances are held by the nearest scope,
+   * unless a dependency injector below the scope binds the chain.
+   *
+   * @param {Lifetime} lifetime The lifetime of the instance.
+   * @param {function(new: Object, ...*)[][]} path The resolution path of the
+   *        instance, ending with the implementation chain of the instance.
+   * @return {DependencyInjector} The dependency injector that holds the
+   *         instance.
+   * @throws {ResolutionError} Thrown if a scoped instance is requested
+   *         outside of a scope.
+   */
+  [PRIVATE.getInstanceOwner](lifetime, path) {
+    let chain = path[path.length - 1]
+    let isScoped = lifetime === Lifetime.SCOPED
+    let scope = this
+    while (scope && !scope[PRIVATE.isScope]) {
+      scope = scope[PRIVATE.parent]
+    }
+
+    if (isScoped && !scope) {
+      throw new ResolutionError(
+        path,
+        null,
+        `Cannot resolve ${formatPath(path)} outside of a scope, because the ` +
+            "class has the scoped lifetime. Use a scope created by the " +
+            "createScope() or runInScope() method to resolve the class."
+      )
+    }
+
+    let injector = this
+    while (
+      !injector[PRIVATE.hasOwnBinding](chain) &&
+      injector[PRIVATE.parent] &&
+      !(isScoped && (injector === scope)) &&
+      injector[PRIVATE.parent][PRIVATE.resolvesChain](chain)
+    ) {
+      injector = injector[PRIVATE.parent]
+    }
+
+    return injector
+  }
+
+  /**
+   * Tests whether this dependency injector resolves the first token of the
+   * provided implementation chain to the same chain. The chain may differ
+   * even if the dependency injector it has been resolved by does not bind
+   * it, for example if the dependency injectors have different active
+   * profiles.
+   *
+   * @param {(function(new: Object, ...*)|symbol|string)[]} chain The
+   *        implementation chain.
+   * @return {boolean} {@code true} if this dependency injector resolves the
+   *         same chain.
+   */
+  [PRIVATE.resolvesChain](chain) {
+    let ownChain
+    try {
+      ownChain = this[PRIVATE.getImplementationChain](chain[0])
+    } catch (error) {
+      return false
+    }
+
+    return (ownChain.length === chain.length) &&
+        ownChain.every((token, index) => token === chain[index])
+  }
+
+  /**
+   * Tests whether this dependency injector itself (not its ancestors) has a
+   * binding affecting the resolution of the provided implementation chain -
+   * an implementation of any of its interfaces, a provider, the
+   * dependencies, the contextual implementations of the dependencies, the
+   * lifetime or an interceptor.
+   *
+   * @param {(function(new: Object, ...*)|symbol|string)[]} chain The
+   *        implementation chain.
+   * @return {boolean} {@code true} if this dependency injector binds the
+   *         chain.
+   */
+  [PRIVATE.hasOwnBinding](chain) {
+    let implementation = chain[chain.length - 1]
+    if (
+      this[PRIVATE.providers].has(implementation) ||
+      this[PRIVATE.dependencies].has(implementation) ||
+      this[PRIVATE.contextualImplementations].has(implementation) ||
+      this[PRIVATE.interceptors].some(({matches}) => matches(chain))
+    ) {
+      return true
+    }
+
+    return chain.some(token => this[PRIVATE.implementations].has(token) ||
+        this[PRIVATE.profileImplementations].has(token) ||
+        this[PRIVATE.lifetimes].has(token))
+  }
+
+  /**
+   * Returns the property dependencies of the specified implementation class,
+   * specified by the class using the static property (see the
+   * {@linkcode propertyDependenciesPropertyName} property). Unlike the
+   * constructor dependencies, the property dependencies are inherited from
+   * the parent class.
+   *
+   * @param {function(new: Object, ...*)} implementation The implementation
+   *        class.
+   * @return {Object<string, *>} The property dependencies of the class.
+   */
+  [PRIVATE.getPropertyDependencies](implementation) {
+    let getterName = this[PRIVATE.propertyDependenciesGetterName]
+    return implementation[getterName] || {}
+  }
+
+  /**
+   * Invokes the post-construct method of the provided instance, if the
+   * instance has one.
+   *
+   * @param {Object} instance The created instance.
+   * @return {*} The value returned by the post-construct method.
+   */
+  [PRIVATE.postConstruct](instance) {
+    let postConstructMethod = instance[this[PRIVATE.postConstructMethodName]]
+    if (postConstructMethod instanceof Function) {
+      return postConstructMethod.call(instance)
+    }
+
+    return undefined
+  }
+
+  /**
+   * Clears the registry of shared instances of this dependency injector and
+   * returns the cleared instances in the reverse order of their creation.
+   *
+   * @return {(Object|Promise<Object>)[]} The cleared instances, starting with
+   *         the most recently created one.
+   */
+  [PRIVATE.takeInstances]() {
+    let instances = Array.from(this[PRIVATE.instances].values()).reverse()
+    this[PRIVATE.instances].clear()
+    return instances
+  }
+
+  /**
+   * Invokes the dispose method of the provided instance, if the instance has
+   * one.
+   *
+   * @param {*} instance The instance to dispose.
+   * @return {*} The value returned by the dispose method.
+   */
+  [PRIVATE.dispose](instance) {
+    if (!(instance instanceof Object)) {
+      return undefined
+    }
+
+    this[PRIVATE.emit]("dispose", {instance})
+
+    let disposeMethod = instance[this[PRIVATE.disposeMethodName]]
+    if (disposeMethod instanceof Function) {
+      return disposeMethod.call(instance)
+    }
+
+    return undefined
+  }
+
+  /**
+   * Disposes the provided shared instances in the provided order. The
+   * instances that are still being created asynchronously are skipped.
+   *
+   * @param {*[]} instances The instances to dispose.
+   * @throws {DisposalError} Thrown if any of the instances failed to be
+   *         disposed. All instances are disposed even if some of the
+   *         disposals fail.
+   */
+  [PRIVATE.disposeInstances](instances) {
+    let failures = []
+    for (let instance of instances) {
+      if (instance instanceof Promise) {
+        continue
+      }
+
+      try {
+        this[PRIVATE.dispose](instance)
+      } catch (error) {
+        failures.push({instance, error})
+      }
+    }
+
+    if (failures.length) {
+      throw new DisposalError(failures)
+    }
+  }
+
+  /**
+   * Captures the current state of this dependency injector - copies of its
+   * registries and its property names.
+   *
+   * @return {{registries: Map<symbol, *>, fields: Map<symbol, *>}}
+   *         The captured state.
+   */
+  [PRIVATE.captureState]() {
+    let registries = new Map()
+    for (let registry of SNAPSHOT_REGISTRIES) {
+      let copy
+      if (this[registry] instanceof Set) {
+        copy = new Set(this[registry])
+      } else if (this[registry] instanceof Array) {
+        copy = this[registry].slice()
+      } else {
+        copy = new Map()
+        for (let [key, value] of this[registry]) {
+          if (value instanceof Map) {
+            copy.set(key, new Map(value))
+          } else if (value instanceof Set) {
+            copy.set(key, new Set(value))
+          } else if (value instanceof Array) {
+            copy.set(key, value.slice())
+          } else {
+            copy.set(key, value)
+          }
+        }
+      }
+      registries.set(registry, copy)
+    }
+
+    let fields = new Map()
+    for (let field of SNAPSHOT_FIELDS) {
+      fields.set(field, this[field])
+    }
+
+    return {registries, fields}
+  }
+
+  /**
+   * Reverts this dependency injector to the provided captured state, and
+   * disposes the shared instances created since the state has been captured
+   * (in the reverse order of their creation).
+   *
+   * @param {{registries: Map<symbol, *>, fields: Map<symbol, *>}}
+   *        state The state captured by the {@code PRIVATE.captureState}
+   *        method.
+   * @throws {DisposalError} Thrown if any of the discarded instances failed to
+   *         be disposed. The state is reverted even if some of the disposals
+   *         fail.
+   */
+  [PRIVATE.revertToState](state) {
+    let keptInstances = new Set(
+      state.registries.get(PRIVATE.instances).values()
+    )
+    let discardedInstances = Array.from(this[PRIVATE.instances].values())
+        .filter(instance => !keptInstances.has(instance))
+        .reverse()
+    this[PRIVATE.restoreState](state)
+    this[PRIVATE.disposeInstances](discardedInstances)
+  }
+
+  /**
+   * Reverts this dependency injector to the provided captured state. The
+   * registries are updated in place.
+   *
+   * @param {{registries: Map<symbol, *>, fields: Map<symbol, *>}}
+   *        state The state captured by the {@code PRIVATE.captureState}
+   *        method.
+   */
+  [PRIVATE.restoreState](state) {
+    for (let [registry, copy] of state.registries) {
+      if (copy instanceof Array) {
+        this[registry].splice(0, this[registry].length, ...copy)
+        continue
+      }
+
+      this[registry].clear()
+      if (copy instanceof Set) {
+        copy.forEach(value => this[registry].add(value))
+      } else {
+        copy.forEach((value, key) => this[registry].set(key, value))
+      }
+    }
+
+    for (let [field, value] of state.fields) {
+      this[field] = value
+    }
   }
 }
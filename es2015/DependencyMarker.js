@@ -0,0 +1,89 @@
+/**
+ * The types of dependency markers.
+ *
+ * @enum {string}
+ */
+export const MarkerType = Object.freeze({
+  /**
+   * The marked value is injected without modification.
+   */
+  VALUE: "value",
+
+  /**
+   * The marked class is injected as a class reference, without being
+   * resolved to its shared instance.
+   */
+  CLASS_REF: "classRef",
+
+  /**
+   * A function that provides the shared instance of the marked class is
+   * injected. The instance is resolved upon the first call of the function.
+   */
+  LAZY: "lazy",
+
+  /**
+   * A function that creates a new instance of the marked class every time it
+   * is called is injected.
+   */
+  PROVIDER: "provider",
+
+  /**
+   * The marked class, interface or provider token is resolved if it is
+   * registered in the dependency injector, otherwise the fallback value
+   * specified in the {@code fallback} option is injected.
+   */
+  OPTIONAL: "optional",
+
+  /**
+   * An array of the shared instances of all implementations added to the
+   * marked interface is injected.
+   */
+  ALL: "all",
+
+  /**
+   * The implementation of the marked interface registered under the name
+   * specified in the {@code name} option is injected.
+   */
+  NAMED: "named"
+})
+
+/**
+ * A dependency marker wraps a dependency to tell the dependency injector how
+ * the dependency should be resolved. Dependency markers are created using the
+ * static factory methods of the {@code DependencyInjector} class and may be
+ * used anywhere the dependencies of a class can be specified.
+ */
+export default class DependencyMarker {
+  /**
+   * Initializes the dependency marker.
+   *
+   * @param {MarkerType} type The type of the marker.
+   * @param {*} target The marked dependency.
+   * @param {Object<string, *>=} options The additional options of the
+   *        marker, specific to the marker type.
+   */
+  constructor(type, target, options = {}) {
+    /**
+     * The type of the marker.
+     *
+     * @type {MarkerType}
+     */
+    this.type = type
+
+    /**
+     * The marked dependency.
+     *
+     * @type {*}
+     */
+    this.target = target
+
+    /**
+     * The additional options of the marker, specific to the marker type.
+     *
+     * @type {Object<string, *>}
+     */
+    this.options = Object.freeze(Object.assign({}, options))
+
+    Object.freeze(this)
+  }
+}
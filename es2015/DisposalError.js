@@ -0,0 +1,47 @@
+/**
+ * Error thrown by the dependency injector when one or more shared instances
+ * fail to be disposed.
+ */
+export default class DisposalError extends Error {
+  /**
+   * Initializes the error.
+   *
+   * @param {{instance: Object, error: *}[]} failures The failed disposals,
+   *        in the order in which they happened.
+   */
+  constructor(failures) {
+    let message = `Failed to dispose ${failures.length} shared ` +
+        `instance${failures.length > 1 ? "s" : ""}: ` +
+        failures.map(({error}) => (error && error.message) || error).join("; ")
+    super(message)
+
+    /**
+     * The name of this error type.
+     *
+     * @type {string}
+     */
+    this.name = "DisposalError"
+
+    /**
+     * The error message.
+     *
+     * @type {string}
+     */
+    this.message = message
+
+    /**
+     * The failed disposals - the instances that failed to be disposed and the
+     * errors thrown by their dispose methods.
+     *
+     * @type {{instance: Object, error: *}[]}
+     */
+    this.failures = failures
+
+    /**
+     * The errors thrown by the dispose methods.
+     *
+     * @type {*[]}
+     */
+    this.errors = failures.map(({error}) => error)
+  }
+}
@@ -0,0 +1,24 @@
+/**
+ * The lifetimes of the instances provided by the dependency injector.
+ *
+ * @enum {string}
+ */
+export default Object.freeze({
+  /**
+   * A single shared instance is created by the dependency injector and
+   * provided wherever the class is needed. This is the default lifetime.
+   */
+  SINGLETON: "singleton",
+
+  /**
+   * A new instance is created every time the class is requested or injected.
+   */
+  TRANSIENT: "transient",
+
+  /**
+   * A single instance is created for every scope (see the
+   * {@code DependencyInjector#createScope} method). The class cannot be
+   * resolved outside of a scope.
+   */
+  SCOPED: "scoped"
+})
@@ -0,0 +1,30 @@
+/**
+ * The types of the configuration problems reported by the
+ * {@code DependencyInjector#validate} method.
+ *
+ * @enum {string}
+ */
+export default Object.freeze({
+  /**
+   * A declared interface, a named implementation or an interface provider
+   * token has no implementation configured.
+   */
+  MISSING_IMPLEMENTATION: "missingImplementation",
+
+  /**
+   * The classes depend on each other in a cycle.
+   */
+  CYCLE: "cycle",
+
+  /**
+   * A class has neither configured dependencies nor default dependencies
+   * specified by the class.
+   */
+  NO_DEPENDENCIES: "noDependencies",
+
+  /**
+   * A class has fewer dependencies than the parameters declared by its
+   * constructor.
+   */
+  ARITY_MISMATCH: "arityMismatch"
+})
@@ -0,0 +1,190 @@
+import {describeToken, formatChain} from "./resolutionPath"
+
+/**
+ * Private fields and methods.
+ */
+const PRIVATE = Object.freeze({
+  // fields
+  constructionTimes: Symbol("constructionTimes"),
+  resolutions: Symbol("resolutions"),
+  stack: Symbol("stack"),
+  unsubscribers: Symbol("unsubscribers"),
+
+  // methods
+  onResolve: Symbol("onResolve"),
+  onCreate: Symbol("onCreate")
+})
+
+/**
+ * Profiler recording the activity of a dependency injector - the time spent
+ * constructing the instances of each class and the resolution tree of every
+ * class, interface or provider token requested from the dependency injector.
+ *
+ * The profiler starts recording once created, and records the activity of
+ * the dependency injector and all its descendants until stopped.
+ *
+ * The resolution trees of asynchronous resolutions that run concurrently may
+ * be imprecise, since the profiler relies on the order of the events.
+ */
+export default class Profiler {
+  /**
+   * Initializes the profiler and starts recording.
+   *
+   * @param {DependencyInjector} dependencyInjector The dependency injector to
+   *        profile.
+   */
+  constructor(dependencyInjector) {
+    /**
+     * Map of the instantiated classes (and the provider tokens of the
+     * factories) to the number of their instances and the total time spent
+     * constructing them.
+     *
+     * @type {Map<*, {count: number, totalTime: number}>}
+     */
+    this[PRIVATE.constructionTimes] = new Map()
+
+    /**
+     * The roots of the recorded resolution trees.
+     *
+     * @type {Object[]}
+     */
+    this[PRIVATE.resolutions] = []
+
+    /**
+     * The nodes of the resolution tree that is currently being recorded, by
+     * their depth.
+     *
+     * @type {Object[]}
+     */
+    this[PRIVATE.stack] = []
+
+    /**
+     * The functions unregistering the event listeners of this profiler.
+     *
+     * @type {function()[]}
+     */
+    this[PRIVATE.unsubscribers] = [
+      dependencyInjector.onResolve(event => this[PRIVATE.onResolve](event)),
+      dependencyInjector.onCreate(event => this[PRIVATE.onCreate](event))
+    ]
+
+    ;[
+      PRIVATE.constructionTimes,
+      PRIVATE.resolutions,
+      PRIVATE.stack,
+      PRIVATE.unsubscribers
+    ].forEach(property => Object.defineProperty(this, property, {
+      writable: false
+    }))
+    Object.seal(this)
+  }
+
+  /**
+   * The recorded resolution trees, one for every class, interface or provider
+   * token requested from the dependency injector, in the order of the
+   * requests. Every node of a tree has the following properties:
+   *
+   * - {@code token} - the resolved class, interface or provider token.
+   * - {@code name} - the human-readable implementation chain of the token.
+   * - {@code implementation} - the implementation of the token.
+   * - {@code created} - whether a new instance has been created, or an
+   *   existing shared instance has been used.
+   * - {@code constructionTime} - the number of milliseconds spent
+   *   constructing the instance, excluding its dependencies.
+   * - {@code children} - the nodes of the dependencies.
+   *
+   * @return {Object[]} The roots of the resolution trees.
+   */
+  get resolutions() {
+    return this[PRIVATE.resolutions].slice()
+  }
+
+  /**
+   * Returns the construction times of the instantiated classes (and the
+   * factories), ordered from the slowest to the fastest by the total time.
+   *
+   * @return {Object[]} The {@code implementation} (and its {@code name}),
+   *         the {@code count} of the created instances and the
+   *         {@code totalTime} in milliseconds spent constructing them, for
+   *         every instantiated class or factory.
+   */
+  getConstructionTimes() {
+    let times = []
+    for (let [implementation, {count, totalTime}] of
+        this[PRIVATE.constructionTimes]) {
+      times.push({
+        implementation,
+        name: describeToken(implementation),
+        count,
+        totalTime
+      })
+    }
+
+    return times.sort((time1, time2) => time2.totalTime - time1.totalTime)
+  }
+
+  /**
+   * Discards everything recorded so far.
+   */
+  reset() {
+    this[PRIVATE.constructionTimes].clear()
+    this[PRIVATE.resolutions].splice(0)
+    this[PRIVATE.stack].splice(0)
+  }
+
+  /**
+   * Stops recording. The recorded data are kept.
+   */
+  stop() {
+    for (let unsubscribe of this[PRIVATE.unsubscribers].splice(0)) {
+      unsubscribe()
+    }
+  }
+
+  /**
+   * Records the provided resolution event in the resolution tree.
+   *
+   * @param {{token: *, chain: *[], path: *[][]}} event The event.
+   */
+  [PRIVATE.onResolve]({token, chain, path}) {
+    let node = {
+      token,
+      name: formatChain(chain),
+      implementation: chain[chain.length - 1],
+      created: false,
+      constructionTime: 0,
+      children: []
+    }
+
+    let stack = this[PRIVATE.stack]
+    let depth = path.length
+    if (depth && stack[depth - 1]) {
+      stack[depth - 1].children.push(node)
+    } else {
+      this[PRIVATE.resolutions].push(node)
+    }
+    stack.length = depth
+    stack[depth] = node
+  }
+
+  /**
+   * Records the provided instance creation event.
+   *
+   * @param {{implementation: *, path: *[][], constructionTime: number}} event
+   *        The event.
+   */
+  [PRIVATE.onCreate]({implementation, path, constructionTime}) {
+    let times = this[PRIVATE.constructionTimes]
+    let classTimes = times.get(implementation) || {count: 0, totalTime: 0}
+    times.set(implementation, {
+      count: classTimes.count + 1,
+      totalTime: classTimes.totalTime + constructionTime
+    })
+
+    let node = this[PRIVATE.stack][path.length - 1]
+    if (node && (node.implementation === implementation) && !node.created) {
+      node.created = true
+      node.constructionTime = constructionTime
+    }
+  }
+}
@@ -0,0 +1,88 @@
+import {formatPath} from "./resolutionPath"
+
+/**
+ * Error used by the dependency injector to report a failure to resolve or
+ * create an instance of a class, including the resolution path that led to
+ * the class.
+ */
+export default class ResolutionError extends Error {
+  /**
+   * Initializes the error.
+   *
+   * @param {function(new: Object, ...*)[][]} path The resolution path of the
+   *        class that failed to be created. Each element is the
+   *        implementation chain of a class in the path, starting with the
+   *        requested class or interface and ending with the implementing
+   *        class.
+   * @param {*} cause The original error that caused the failure, or
+   *        {@code null} if there is none.
+   * @param {string=} message The error message. Defaults to a message
+   *        describing the resolution path and the original error.
+   * @param {{
+   *          classConstructor: ?(function(new: Object, ...*)|symbol|string),
+   *          interfaceConstructor: ?(function(new: Object)|symbol|string)
+   *        }=} details The failing class (or provider token) and interface,
+   *        if they are not the ones at the end of the resolution path.
+   */
+  constructor(
+    path,
+    cause,
+    message = `Failed to create ${formatPath(path)}: ` +
+        ((cause && cause.message) || cause),
+    details = {}
+  ) {
+    super(message)
+
+    let chain = path[path.length - 1] || []
+    let {
+      classConstructor = chain.length ? chain[chain.length - 1] : null,
+      interfaceConstructor = (chain.length > 1) ? chain[0] : null
+    } = details
+
+    /**
+     * The name of this error type.
+     *
+     * @type {string}
+     */
+    this.name = "ResolutionError"
+
+    /**
+     * The error message. Set explicitly since the subclasses of the native
+     * {@code Error} transpiled for older environments do not set it.
+     *
+     * @type {string}
+     */
+    this.message = message
+
+    /**
+     * The resolution path of the class that failed to be created.
+     *
+     * @type {function(new: Object, ...*)[][]}
+     */
+    this.path = path
+
+    /**
+     * The class (or provider token) that failed to be created - the last
+     * element of the implementation chain at the end of the resolution path,
+     * unless specified otherwise.
+     *
+     * @type {?(function(new: Object, ...*)|symbol|string)}
+     */
+    this.classConstructor = classConstructor
+
+    /**
+     * The interface that was being resolved to the class that failed to be
+     * created, or {@code null} if the class has been requested directly.
+     *
+     * @type {?(function(new: Object)|symbol|string)}
+     */
+    this.interfaceConstructor = interfaceConstructor
+
+    /**
+     * The original error that caused the failure.
+     *
+     * @type {*}
+     */
+    this.cause = cause
+  }
+}
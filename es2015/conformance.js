@@ -0,0 +1,81 @@
+/**
+ * Returns the property descriptors of all members defined on the prototype
+ * chain of the provided class, excluding the members of
+ * {@code Object.prototype} and the constructors. The members defined closer
+ * to the class take precedence.
+ *
+ * @param {function(new: Object, ...*)} classConstructor The class.
+ * @return {Map<(string|symbol), Object>} The property descriptors of the
+ *         members of the class instances.
+ */
+function getMembers(classConstructor) {
+  let members = new Map()
+  let prototype = classConstructor.prototype
+  while (prototype && (prototype !== Object.prototype)) {
+    let keys = Object.getOwnPropertyNames(prototype).concat(
+      Object.getOwnPropertySymbols(prototype)
+    )
+    for (let key of keys) {
+      if ((key !== "constructor") && !members.has(key)) {
+        members.set(key, Object.getOwnPropertyDescriptor(prototype, key))
+      }
+    }
+    prototype = Object.getPrototypeOf(prototype)
+  }
+
+  return members
+}
+
+/**
+ * Checks whether the provided implementation class provides all methods and
+ * accessors defined on the prototype of the provided interface, and whether
+ * the methods accept the same number of declared parameters.
+ *
+ * @param {function(new: Object)} interfaceConstructor The interface.
+ * @param {function(new: Object, ...*)} implementation The implementation
+ *        class.
+ * @return {string[]} The descriptions of the problems found. The array is
+ *         empty if the implementation conforms to the interface.
+ */
+export function findConformanceProblems(interfaceConstructor, implementation) {
+  let interfaceMembers = getMembers(interfaceConstructor)
+  let implementationMembers = getMembers(implementation)
+  let problems = []
+
+  for (let [key, descriptor] of interfaceMembers) {
+    let name = String(key)
+    let implementationDescriptor = implementationMembers.get(key)
+
+    if (descriptor.get || descriptor.set) {
+      let accessors = [
+        descriptor.get ? "getter" : null,
+        descriptor.set ? "setter" : null
+      ].filter(accessor => accessor)
+      for (let accessor of accessors) {
+        let method = accessor === "getter" ? "get" : "set"
+        if (!implementationDescriptor || !implementationDescriptor[method]) {
+          problems.push(`missing ${accessor} of the ${name} property`)
+        }
+      }
+      continue
+    }
+
+    if (!(descriptor.value instanceof Function)) {
+      continue
+    }
+
+    if (
+      !implementationDescriptor ||
+      !(implementationDescriptor.value instanceof Function)
+    ) {
+      problems.push(`missing the ${name}() method`)
+    } else if (implementationDescriptor.value.length !==
+        descriptor.value.length) {
+      problems.push(`the ${name}() method declares ` +
+          `${implementationDescriptor.value.length} parameter(s), the ` +
+          `interface declares ${descriptor.value.length}`)
+    }
+  }
+
+  return problems
+}
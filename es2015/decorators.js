@@ -0,0 +1,184 @@
+import ConfigurationError from "./ConfigurationError"
+import Lifetime from "./Lifetime"
+import {describeToken} from "./resolutionPath"
+
+/**
+ * The dependencies declared using the {@linkcode inject} decorator, by the
+ * decorated classes.
+ *
+ * @type {WeakMap<function(new: Object, ...*), *[]>}
+ */
+const declaredDependencies = new WeakMap()
+
+/**
+ * The lifetimes declared using the {@linkcode injectable} decorator, by the
+ * decorated classes.
+ *
+ * @type {WeakMap<function(new: Object, ...*), Lifetime>}
+ */
+const declaredLifetimes = new WeakMap()
+
+/**
+ * The classes declared to implement the interfaces using the
+ * {@linkcode implementsInterface} decorator, by the interfaces.
+ *
+ * @type {Map<*, function(new: Object, ...*)[]>}
+ */
+const declaredImplementations = new Map()
+
+/**
+ * Creates a class decorator declaring the dependencies of the decorated class.
+ * The dependency injector uses the declared dependencies the same way it uses
+ * the default dependencies specified by the static property of the class
+ * (see the {@code DependencyInjector#dependenciesPropertyName} property),
+ * the dependencies configured using the {@code DependencyInjector#configure}
+ * method take precedence. The dependencies declared using the decorator take
+ * precedence over the static property. The declared dependencies are not
+ * inherited by the subclasses.
+ *
+ * @param {...*} dependencies The dependencies to pass to the class
+ *        constructor, the same as the dependencies passed to the
+ *        {@code DependencyInjector#configure} method.
+ * @return {function(function(new: Object, ...*))} The class decorator.
+ */
+export function inject(...dependencies) {
+  return createClassDecorator("inject", (classConstructor) => {
+    declaredDependencies.set(classConstructor, dependencies)
+  })
+}
+
+/**
+ * Creates a class decorator declaring the options of the decorated class.
+ * The only supported option is the {@code lifetime} of the class instances
+ * (see the {@code DependencyInjector#setLifetime} method). The lifetimes
+ * set using the {@code DependencyInjector#setLifetime} method take
+ * precedence.
+ *
+ * @param {{lifetime: Lifetime}=} options The options of the class.
+ * @return {function(function(new: Object, ...*))} The class decorator.
+ */
+export function injectable({lifetime} = {}) {
+  if (lifetime !== undefined) {
+    let lifetimes = Object.keys(Lifetime).map(key => Lifetime[key])
+    if (lifetimes.indexOf(lifetime) === -1) {
+      throw new TypeError(`Unknown lifetime ${lifetime}, expected one of ` +
+          lifetimes.join(", "))
+    }
+  }
+
+  return createClassDecorator("injectable", (classConstructor) => {
+    if (lifetime !== undefined) {
+      declaredLifetimes.set(classConstructor, lifetime)
+    }
+  })
+}
+
+/**
+ * Creates a class decorator declaring that the decorated class implements
+ * the specified interface. The dependency injectors use the class as the
+ * implementation of the interface unless another implementation is set
+ * using the {@code DependencyInjector#setImplementation} method.
+ *
+ * Declaring multiple implementations of the same interface makes the
+ * interface ambiguous - resolving it fails unless its implementation is set
+ * explicitly.
+ *
+ * Since {@code implements} is a reserved word, the decorator has to be
+ * imported under a different name or used through the module namespace,
+ * for example {@code @decorators.implements(IFoo)}.
+ *
+ * @param {(function(new: Object)|symbol|string)} interfaceConstructor The
+ *        implemented interface.
+ * @return {function(function(new: Object, ...*))} The class decorator.
+ */
+export function implementsInterface(interfaceConstructor) {
+  return createClassDecorator("implements", (classConstructor) => {
+    if (!declaredImplementations.has(interfaceConstructor)) {
+      declaredImplementations.set(interfaceConstructor, [])
+    }
+    let implementations = declaredImplementations.get(interfaceConstructor)
+    if (implementations.indexOf(classConstructor) === -1) {
+      implementations.push(classConstructor)
+    }
+  })
+}
+
+export {implementsInterface as implements}
+
+/**
+ * Returns the dependencies declared for the specified class using the
+ * {@linkcode inject} decorator.
+ *
+ * @param {*} classConstructor The class.
+ * @return {?(*[])} The declared dependencies, or {@code null} if the class
+ *         has not been decorated.
+ */
+export function getDeclaredDependencies(classConstructor) {
+  return declaredDependencies.get(classConstructor) || null
+}
+
+/**
+ * Returns the lifetime declared for the specified class using the
+ * {@linkcode injectable} decorator.
+ *
+ * @param {*} classConstructor The class.
+ * @return {?Lifetime} The declared lifetime, or {@code null} if the class has
+ *         no lifetime declared.
+ */
+export function getDeclaredLifetime(classConstructor) {
+  return declaredLifetimes.get(classConstructor) || null
+}
+
+/**
+ * Returns the class declared to implement the specified interface using the
+ * {@linkcode implementsInterface} decorator.
+ *
+ * @param {*} interfaceConstructor The interface.
+ * @return {?function(new: Object, ...*)} The implementing class, or
+ *         {@code null} if no class declares to implement the interface.
+ * @throws {ConfigurationError} Thrown if multiple classes declare to
+ *         implement the interface.
+ */
+export function getDeclaredImplementation(interfaceConstructor) {
+  let implementations = declaredImplementations.get(interfaceConstructor)
+  if (!implementations) {
+    return null
+  }
+  if (implementations.length > 1) {
+    throw new ConfigurationError(`The ${describeToken(interfaceConstructor)} ` +
+        "interface has multiple implementations declared using the " +
+        "@implements decorator " +
+        `(${implementations.map(describeToken).join(", ")}), set its ` +
+        "implementation using the setImplementation() method",
+        {interfaceConstructor})
+  }
+
+  return implementations[0]
+}
+
+/**
+ * Creates a class decorator that passes the decorated class to the provided
+ * callback. The decorator supports both the legacy decorators (receiving the
+ * class only) and the standard decorators (receiving the class and the
+ * decorator context).
+ *
+ * @param {string} name The name of the decorator, used in the error
+ *        messages.
+ * @param {function(function(new: Object, ...*))} callback The callback
+ *        recording the metadata of the class.
+ * @return {function(function(new: Object, ...*), Object=)} The class
+ *         decorator.
+ */
+function createClassDecorator(name, callback) {
+  return (classConstructor, context) => {
+    if (
+      !(classConstructor instanceof Function) ||
+      (context && (context.kind !== "class"))
+    ) {
+      throw new TypeError(`The @${name} decorator can be applied only to ` +
+          "classes")
+    }
+
+    callback(classConstructor)
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Wraps the provided instance in a proxy that runs the provided interceptors
+ * around the calls of the instance's methods.
+ *
+ * Every interceptor is a function that receives the invocation - an object
+ * with the following properties:
+ *
+ * - {@code target} - the intercepted instance (not the proxy).
+ * - {@code targetClass} - the class of the intercepted instance.
+ * - {@code methodName} - the name of the called method.
+ * - {@code args} - the array of the arguments of the call. The interceptors
+ *   may modify the array before proceeding with the call.
+ * - {@code proceed} - a function that invokes the next interceptor, or the
+ *   method itself if there are no more interceptors, and returns its result.
+ *   The result of an asynchronous method is a promise the interceptor may
+ *   chain to. The function may be called repeatedly, for example to retry a
+ *   failed call.
+ *
+ * The value returned by the interceptor is returned to the caller of the
+ * method. The first interceptor is the outermost one.
+ *
+ * @template T
+ * @param {T} instance The instance to wrap.
+ * @param {function(new: T, ...*)} targetClass The class of the instance.
+ * @param {(function(Object): *)[]} interceptors The interceptors to run
+ *        around the method calls. There must be at least one interceptor.
+ * @return {T} The proxy of the instance.
+ */
+export function createInterceptionProxy(instance, targetClass, interceptors) {
+  let methodWrappers = new Map()
+
+  return new Proxy(instance, {
+    get(target, property) {
+      let value = target[property]
+      if (!(value instanceof Function) || (property === "constructor")) {
+        return value
+      }
+
+      let wrapper = methodWrappers.get(property)
+      if (!wrapper || (wrapper.method !== value)) {
+        wrapper = {
+          method: value,
+          call: (...args) => invoke(target, targetClass, property, value, args,
+              interceptors)
+        }
+        methodWrappers.set(property, wrapper)
+      }
+
+      return wrapper.call
+    }
+  })
+}
+
+/**
+ * Invokes the provided method of the target instance through the provided
+ * interceptors.
+ *
+ * @param {Object} target The target instance.
+ * @param {function(new: Object, ...*)} targetClass The class of the target
+ *        instance.
+ * @param {(string|symbol)} methodName The name of the invoked method.
+ * @param {function(...*): *} method The invoked method.
+ * @param {*[]} args The arguments of the call.
+ * @param {(function(Object): *)[]} interceptors The interceptors to run
+ *        around the method call.
+ * @return {*} The result of the call.
+ */
+function invoke(target, targetClass, methodName, method, args, interceptors) {
+  let createInvocation = index => ({
+    target,
+    targetClass,
+    methodName,
+    args,
+    proceed() {
+      if (index + 1 === interceptors.length) {
+        return method.apply(target, args)
+      }
+
+      return interceptors[index + 1](createInvocation(index + 1))
+    }
+  })
+
+  return interceptors[0](createInvocation(0))
+}
@@ -0,0 +1,307 @@
+import ConfigurationError from "./ConfigurationError"
+import DependencyMarker, {MarkerType} from "./DependencyMarker"
+import Lifetime from "./Lifetime"
+
+/**
+ * The sections a configuration manifest may contain.
+ *
+ * @type {string[]}
+ */
+const MANIFEST_SECTIONS = Object.freeze([
+  "implementations",
+  "dependencies",
+  "lifetimes"
+])
+
+/**
+ * Parses the provided configuration manifest, resolving the class names used
+ * in the manifest using the provided class registry. See the
+ * {@code DependencyInjector#loadConfig} method for the description of the
+ * manifest.
+ *
+ * @param {Object} manifest The configuration manifest.
+ * @param {Object<string, function(new: Object, ...*)>} classRegistry The
+ *        classes and interfaces the manifest may refer to, by their names.
+ * @return {{
+ *           implementations: Object[],
+ *           dependencies: Object[],
+ *           lifetimes: Object[]
+ *         }} The parsed configuration. The implementation entries specify
+ *         the {@code interfaceConstructor} and its {@code implementation},
+ *         the dependency entries specify the {@code classConstructor} and
+ *         its {@code dependencies}, the lifetime entries specify the
+ *         {@code classConstructor} and its {@code lifetime}. Every entry
+ *         specifies the manifest {@code path} it has been parsed from.
+ * @throws {ConfigurationError} Thrown if the manifest is malformed or refers
+ *         to a class that is not in the class registry.
+ */
+export function parseManifest(manifest, classRegistry) {
+  if (!isPlainObject(classRegistry)) {
+    throw new TypeError("The class registry must be an object mapping the " +
+        "class names to the classes")
+  }
+  let path = "manifest"
+  expectObject(manifest, path)
+  for (let section of Object.keys(manifest)) {
+    if (MANIFEST_SECTIONS.indexOf(section) === -1) {
+      fail(formatPath(path, section), "unknown section, expected one of " +
+          MANIFEST_SECTIONS.join(", "))
+    }
+    expectObject(manifest[section], formatPath(path, section))
+  }
+
+  let implementations = entries(manifest, "implementations", path).map(
+    ({path, key, value}) => {
+      expectString(value, path)
+      return {
+        path,
+        interfaceConstructor: resolveClass(classRegistry, key, path),
+        implementation: resolveClass(classRegistry, value, path)
+      }
+    }
+  )
+
+  let dependencies = entries(manifest, "dependencies", path).map(
+    ({path, key, value}) => {
+      if (!(value instanceof Array)) {
+        fail(path, "the dependencies must be an array")
+      }
+      return {
+        path,
+        classConstructor: resolveClass(classRegistry, key, path),
+        dependencies: value.map((dependency, index) => {
+          return parseDependency(dependency, classRegistry, `${path}[${index}]`)
+        })
+      }
+    }
+  )
+
+  let lifetimeValues = Object.keys(Lifetime).map(key => Lifetime[key])
+  let lifetimes = entries(manifest, "lifetimes", path).map(
+    ({path, key, value}) => {
+      if (lifetimeValues.indexOf(value) === -1) {
+        fail(path, `unknown lifetime ${JSON.stringify(value)}, expected one ` +
+            `of ${lifetimeValues.join(", ")}`)
+      }
+      return {
+        path,
+        classConstructor: resolveClass(classRegistry, key, path),
+        lifetime: value
+      }
+    }
+  )
+
+  return {implementations, dependencies, lifetimes}
+}
+
+/**
+ * Parses the provided dependency specified in the configuration manifest.
+ * The dependency is either a literal value (a string, a number, a boolean
+ * or {@code null}), or an object having exactly one of the following
+ * properties:
+ *
+ * - {@code ref} - the name of the class or interface to inject. The object
+ *   may also specify the {@code name} of the implementation of the
+ *   interface to inject.
+ * - {@code token} - the string provider token to inject.
+ * - {@code value} - a literal value of any type to inject as-is.
+ *
+ * @param {*} dependency The dependency specified in the manifest.
+ * @param {Object<string, function(new: Object, ...*)>} classRegistry The
+ *        class registry.
+ * @param {string} path The path of the dependency in the manifest.
+ * @return {*} The dependency to configure.
+ */
+function parseDependency(dependency, classRegistry, path) {
+  if (!isPlainObject(dependency)) {
+    if ((dependency instanceof Object) || (dependency === undefined)) {
+      fail(path, "the dependency must be a literal value or an object " +
+          "with the ref, token or value property")
+    }
+    return new DependencyMarker(MarkerType.VALUE, dependency)
+  }
+
+  let keys = Object.keys(dependency)
+  if (hasOwnProperty(dependency, "value")) {
+    expectKeys(dependency, ["value"], path)
+    return new DependencyMarker(MarkerType.VALUE, dependency.value)
+  }
+  if (hasOwnProperty(dependency, "token")) {
+    expectKeys(dependency, ["token"], path)
+    expectString(dependency.token, formatPath(path, "token"))
+    return dependency.token
+  }
+  if (!hasOwnProperty(dependency, "ref")) {
+    fail(path, "the dependency must have the ref, token or value property, " +
+        `found ${keys.length ? keys.join(", ") : "none"}`)
+  }
+
+  expectKeys(dependency, ["ref", "name"], path)
+  expectString(dependency.ref, formatPath(path, "ref"))
+  let classConstructor = resolveClass(
+    classRegistry,
+    dependency.ref,
+    formatPath(path, "ref")
+  )
+  if (!hasOwnProperty(dependency, "name")) {
+    return classConstructor
+  }
+
+  expectString(dependency.name, formatPath(path, "name"))
+  return new DependencyMarker(MarkerType.NAMED, classConstructor, {
+    name: dependency.name
+  })
+}
+
+/**
+ * Returns the entries of the specified section of the manifest, together
+ * with their paths in the manifest.
+ *
+ * @param {Object} manifest The configuration manifest.
+ * @param {string} section The name of the section.
+ * @param {string} path The path of the manifest.
+ * @return {{path: string, key: string, value: *}[]} The section entries.
+ */
+function entries(manifest, section, path) {
+  let sectionPath = formatPath(path, section)
+  let sectionEntries = manifest[section] || {}
+  return Object.keys(sectionEntries).map(key => ({
+    path: formatPath(sectionPath, key),
+    key,
+    value: sectionEntries[key]
+  }))
+}
+
+/**
+ * Returns the class or interface of the specified name from the provided
+ * class registry.
+ *
+ * @param {Object<string, function(new: Object, ...*)>} classRegistry The
+ *        class registry.
+ * @param {string} name The name of the class or interface.
+ * @param {string} path The path in the manifest referring to the class.
+ * @return {function(new: Object, ...*)} The class or interface.
+ */
+function resolveClass(classRegistry, name, path) {
+  if (
+    !hasOwnProperty(classRegistry, name) ||
+    !(classRegistry[name] instanceof Function)
+  ) {
+    fail(path, `the ${JSON.stringify(name)} class is not in the class ` +
+        "registry")
+  }
+
+  return classRegistry[name]
+}
+
+/**
+ * Checks that the provided object has no properties other than the
+ * specified ones.
+ *
+ * @param {Object} object The object to check.
+ * @param {string[]} allowedKeys The allowed property names.
+ * @param {string} path The path of the object in the manifest.
+ */
+function expectKeys(object, allowedKeys, path) {
+  for (let key of Object.keys(object)) {
+    if (allowedKeys.indexOf(key) === -1) {
+      fail(formatPath(path, key), "unexpected property, expected only " +
+          allowedKeys.join(", "))
+    }
+  }
+}
+
+/**
+ * Checks that the provided value is a plain object.
+ *
+ * @param {*} value The value to check.
+ * @param {string} path The path of the value in the manifest.
+ */
+function expectObject(value, path) {
+  if (!isPlainObject(value)) {
+    fail(path, `expected an object, ${describeType(value)} found`)
+  }
+}
+
+/**
+ * Checks that the provided value is a string.
+ *
+ * @param {*} value The value to check.
+ * @param {string} path The path of the value in the manifest.
+ */
+function expectString(value, path) {
+  if (typeof value !== "string") {
+    fail(path, `expected a string, ${describeType(value)} found`)
+  }
+}
+
+/**
+ * Tests whether the provided value is a plain object (an object that is not
+ * an array, a function or an instance of a class).
+ *
+ * @param {*} value The value to test.
+ * @return {boolean} {@code true} if the value is a plain object.
+ */
+function isPlainObject(value) {
+  if ((typeof value !== "object") || (value === null)) {
+    return false
+  }
+
+  let prototype = Object.getPrototypeOf(value)
+  return (prototype === Object.prototype) || (prototype === null)
+}
+
+/**
+ * Tests whether the provided object has an own property of the specified
+ * name. The test does not rely on the {@code hasOwnProperty} method of the
+ * object, which may be shadowed or missing (for objects without prototype).
+ *
+ * @param {Object} object The object.
+ * @param {string} property The name of the property.
+ * @return {boolean} {@code true} if the object has the own property.
+ */
+function hasOwnProperty(object, property) {
+  return Object.prototype.hasOwnProperty.call(object, property)
+}
+
+/**
+ * Describes the type of the provided value for the error messages.
+ *
+ * @param {*} value The value.
+ * @return {string} The description of the type of the value.
+ */
+function describeType(value) {
+  if (value === null) {
+    return "null"
+  }
+
+  return (value instanceof Array) ? "array" : typeof value
+}
+
+/**
+ * Appends the provided property name to the provided manifest path.
+ *
+ * @param {string} path The manifest path.
+ * @param {string} key The property name.
+ * @return {string} The extended manifest path.
+ */
+function formatPath(path, key) {
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+    return `${path}.${key}`
+  }
+
+  return `${path}[${JSON.stringify(key)}]`
+}
+
+/**
+ * Throws an error describing the problem at the specified manifest path.
+ *
+ * @param {string} path The path of the problem in the manifest.
+ * @param {string} problem The description of the problem.
+ * @throws {ConfigurationError} The error describing the problem.
+ */
+function fail(path, problem) {
+  throw new ConfigurationError(
+    `Invalid configuration manifest at ${path}: ${problem}`
+  )
+}
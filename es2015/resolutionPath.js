@@ -0,0 +1,51 @@
+/**
+ * Returns a human-readable name of the provided class, interface or provider
+ * token.
+ *
+ * @param {(function(new: Object, ...*)|symbol|string)} token The class,
+ *        interface or provider token.
+ * @return {string} The name of the class, interface or provider token.
+ */
+export function describeToken(token) {
+  switch (typeof token) {
+    case "function":
+      return token.name || "<anonymous class>"
+    case "string":
+      return JSON.stringify(token)
+    default:
+      return String(token)
+  }
+}
+
+/**
+ * Formats the provided implementation chain, for example
+ * {@code IFoo(FooImpl)} or {@code IFoo(IBar(BarImpl))}.
+ *
+ * @param {(function(new: Object, ...*)|symbol|string)[]} chain The
+ *        implementation chain, starting with the requested class, interface
+ *        or provider token and ending with the implementing class or provider
+ *        token.
+ * @return {string} The formatted implementation chain.
+ */
+export function formatChain(chain) {
+  let [requested, ...implementations] = chain
+  let formatted = describeToken(requested)
+  if (implementations.length) {
+    formatted += `(${formatChain(implementations)})`
+  }
+
+  return formatted
+}
+
+/**
+ * Formats the provided resolution path, for example
+ * {@code A -> B -> IFoo(FooImpl) -> A}.
+ *
+ * @param {(function(new: Object, ...*)|symbol|string)[][]} path The
+ *        resolution path. Each element is the implementation chain of a class
+ *        or provider token in the path.
+ * @return {string} The formatted resolution path.
+ */
+export function formatPath(path) {
+  return path.map(formatChain).join(" -> ")
+}
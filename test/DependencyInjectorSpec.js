@@ -1,5 +1,15 @@
 
-import DependencyInjector from "../es2015/DependencyInjector"
+import DependencyInjector, {
+  ConfigurationError as ExportedConfigurationError,
+  CycleError as ExportedCycleError,
+  ResolutionError as ExportedResolutionError
+} from "../es2015/DependencyInjector"
+import ConfigurationError from "../es2015/ConfigurationError"
+import CycleError from "../es2015/CycleError"
+import DisposalError from "../es2015/DisposalError"
+import Lifetime from "../es2015/Lifetime"
+import ProblemType from "../es2015/ProblemType"
+import ResolutionError from "../es2015/ResolutionError"
 
 describe("DependencyInjector", () => {
 
@@ -125,6 +135,260 @@ describe("DependencyInjector", () => {
     })
   })
 
+  describe("getAsync", () => {
+    it("should resolve to a shared instance of a class", (done) => {
+      class Implementation {}
+      di.configure(Implementation, 0)
+
+      Promise.all([
+        di.getAsync(Implementation),
+        di.getAsync(Implementation)
+      ]).then(([first, second]) => {
+        expect(first instanceof Implementation).toBeTruthy()
+        expect(first).toBe(second)
+        expect(di.get(Implementation)).toBe(first)
+        done()
+      }).catch(done.fail)
+    })
+
+    it("should wait for promise dependencies and the asynchronous " +
+        "initializer", (done) => {
+      let initializations = 0
+      class Dependency {
+        initializeAsync() {
+          initializations++
+          return new Promise(resolve => setTimeout(() => {
+            this.ready = true
+            resolve()
+          }, 0))
+        }
+      }
+      class Implementation {
+        constructor(dependency, config) {
+          this.dependency = dependency
+          this.config = config
+        }
+      }
+
+      di.configure(Dependency, 0)
+      di.configure(Implementation, Dependency, Promise.resolve("config"))
+
+      Promise.all([
+        di.getAsync(Implementation),
+        di.getAsync(Dependency)
+      ]).then(([instance, dependency]) => {
+        expect(instance.dependency).toBe(dependency)
+        expect(dependency.ready).toBe(true)
+        expect(instance.config).toBe("config")
+        expect(initializations).toBe(1)
+        done()
+      }).catch(done.fail)
+    })
+
+    it("should reject with the path of the failing dependency", (done) => {
+      let failure = new Error("Connection refused")
+      class IDatabase {}
+      class Database {
+        initializeAsync() {
+          return Promise.reject(failure)
+        }
+      }
+      class Service {}
+
+      di.setImplementation(IDatabase, Database)
+      di.configure(Database, 0)
+      di.configure(Service, IDatabase)
+
+      di.getAsync(Service).then(() => {
+        done.fail("The promise should have been rejected")
+      }, (error) => {
+        expect(error instanceof ResolutionError).toBeTruthy()
+        expect(error.message).toBe("Failed to create Service -> " +
+            "IDatabase(Database): Connection refused")
+        expect(error.path).toEqual([[Service], [IDatabase, Database]])
+        expect(error.cause).toBe(failure)
+
+        // the rejected promise must not stay in the instance registry
+        expect(di.get(Database) instanceof Database).toBeTruthy()
+        done()
+      }).catch(done.fail)
+    })
+
+    it("should reject dependency cycles", (done) => {
+      class A {}
+      class B {}
+
+      di.configure(A, B)
+      di.configure(B, A)
+
+      di.getAsync(A).then(() => {
+        done.fail("The promise should have been rejected")
+      }, (error) => {
+        expect(error instanceof CycleError).toBeTruthy()
+        expect(error.message).toBe("Detected a dependency cycle: A -> B -> A")
+        done()
+      }).catch(done.fail)
+    })
+
+    it("should handle the dependency promises created before a cycle",
+        (done) => {
+      class Database {
+        initializeAsync() {
+          return Promise.reject(new Error("Connection refused"))
+        }
+      }
+      class A {}
+      class B {}
+
+      di.configure(A, Database, B)
+      di.configure(B, A)
+
+      let databaseRequest = di.getAsync(Database)
+      let pendingDatabase = di.get(Database)
+      let handled = false
+      pendingDatabase.then = function (...args) {
+        handled = true
+        return Promise.prototype.then.apply(this, args)
+      }
+
+      let request = di.getAsync(A)
+      expect(handled).toBe(true)
+      request.then(() => {
+        done.fail("The promise should have been rejected")
+      }, (error) => {
+        expect(error instanceof CycleError).toBeTruthy()
+        return databaseRequest
+      }).then(() => {
+        done.fail("The promise should have been rejected")
+      }, (error) => {
+        expect(error.cause.message).toBe("Connection refused")
+        done()
+      }).catch(done.fail)
+    })
+  })
+
+  describe("createAsync", () => {
+    it("should create new instances with the provided dependencies",
+        (done) => {
+      class Dependency {}
+      class Implementation {
+        constructor(dependency, value) {
+          this.dependency = dependency
+          this.value = value
+        }
+      }
+      di.configure(Dependency, 0)
+
+      Promise.all([
+        di.createAsync(Implementation, Dependency, Promise.resolve(1)),
+        di.createAsync(Implementation, Dependency, 2)
+      ]).then(([first, second]) => {
+        expect(first).not.toBe(second)
+        expect(first.dependency).toBe(di.get(Dependency))
+        expect(first.value).toBe(1)
+        expect(second.value).toBe(2)
+        done()
+      }).catch(done.fail)
+    })
+  })
+
+  describe("cycle detection", () => {
+    it("should reject a class depending on itself", () => {
+      class Implementation {
+        static get dependencies() {
+          return [Implementation]
+        }
+      }
+
+      expect(() => {
+        di.get(Implementation)
+      }).toThrowError(CycleError,
+          "Detected a dependency cycle: Implementation -> Implementation")
+    })
+
+    it("should report the whole cycle including the interface " +
+        "implementations", () => {
+      class IFoo {}
+      class A {}
+      class B {}
+      class FooImpl {}
+
+      di.configure(A, B)
+      di.configure(B, IFoo)
+      di.configure(FooImpl, A)
+      di.setImplementation(IFoo, FooImpl)
+
+      let error
+      try {
+        di.get(A)
+      } catch (e) {
+        error = e
+      }
+
+      expect(error instanceof CycleError).toBeTruthy()
+      expect(error.message).toBe(
+          "Detected a dependency cycle: A -> B -> IFoo(FooImpl) -> A")
+      expect(error.path).toEqual([[A], [B], [IFoo, FooImpl], [A]])
+    })
+
+    it("should detect cycles in create() with custom dependencies", () => {
+      class A {}
+      class B {}
+
+      di.configure(B, A)
+
+      expect(() => {
+        di.create(A, B)
+      }).toThrowError(CycleError,
+          "Detected a dependency cycle: A -> B -> A")
+    })
+
+    it("should detect cycles going through factories", () => {
+      class A {}
+
+      di.configure(A, "b")
+      di.registerFactory("b", injector => injector.get(A))
+
+      let error
+      try {
+        di.get(A)
+      } catch (e) {
+        error = e
+      }
+
+      expect(error instanceof CycleError).toBeTruthy()
+      expect(error.path).toEqual([[A], ["b"], [A]])
+    })
+
+    it("should detect cyclic implementation chains", () => {
+      class IFoo {}
+      class IBar {}
+
+      di.setImplementation(IFoo, IBar)
+      di.setImplementation(IBar, IFoo)
+
+      expect(() => {
+        di.get(IFoo)
+      }).toThrowError(CycleError)
+    })
+
+    it("should allow the same class to be used repeatedly in a path", () => {
+      class Dependency {}
+      class Implementation {
+        constructor(first, second) {
+          this.first = first
+          this.second = second
+        }
+      }
+
+      di.configure(Dependency, 0)
+      di.configure(Implementation, Dependency, Dependency)
+
+      let instance = di.get(Implementation)
+      expect(instance.first).toBe(instance.second)
+    })
+  })
+
   describe("configure", () => {
     it("should reject changing dependency configuration for configured " +
         "classes", () => {
@@ -183,6 +447,180 @@ describe("DependencyInjector", () => {
     class Interface2 {}
     class Implementation {}
 
+    describe("qualified and contextual implementations", () => {
+      class IStorage {}
+      class FileStorage {}
+      class MemoryStorage {}
+      class S3Storage {}
+      class ReportService {
+        constructor(storage, cache) {
+          this.storage = storage
+          this.cache = cache
+        }
+
+        static get dependencies() {
+          return [IStorage, DependencyInjector.named(IStorage, "cache")]
+        }
+      }
+      class UserService {
+        constructor(storage) {
+          this.storage = storage
+        }
+
+        static get dependencies() {
+          return [IStorage]
+        }
+      }
+
+      beforeEach(() => {
+        di.configure(FileStorage, 0)
+        di.configure(MemoryStorage, 0)
+        di.configure(S3Storage, 0)
+        di.setImplementation(IStorage, FileStorage)
+      })
+
+      it("should inject named implementations", () => {
+        di.setImplementation(IStorage, MemoryStorage, {name: "cache"})
+
+        let service = di.get(ReportService)
+        expect(service.storage instanceof FileStorage).toBeTruthy()
+        expect(service.cache).toBe(di.get(MemoryStorage))
+      })
+
+      it("should reject missing named implementations", () => {
+        expect(() => {
+          di.get(ReportService)
+        }).toThrowError("There is no implementation of the IStorage " +
+            "interface named \"cache\" configured in this dependency " +
+            "injector (required by ReportService)")
+      })
+
+      it("should use the contextual implementations", () => {
+        di.setImplementation(IStorage, MemoryStorage, {name: "cache"})
+        di.setImplementation(IStorage, S3Storage, {consumer: ReportService})
+
+        expect(di.get(ReportService).storage).toBe(di.get(S3Storage))
+        expect(di.get(UserService).storage).toBe(di.get(FileStorage))
+        expect(
+          di.create(UserService, DependencyInjector.lazy(IStorage)).storage()
+        ).toBe(di.get(FileStorage))
+      })
+
+      it("should inherit the bindings from the parent", () => {
+        di.setImplementation(IStorage, MemoryStorage, {name: "cache"})
+        let child = di.createChild()
+        child.setImplementation(IStorage, S3Storage, {consumer: UserService})
+
+        expect(child.get(ReportService).cache instanceof MemoryStorage)
+            .toBeTruthy()
+        expect(child.get(UserService).storage).toBe(child.get(S3Storage))
+        expect(di.get(UserService).storage).toBe(di.get(FileStorage))
+      })
+
+      it("should resolve the bindings asynchronously", (done) => {
+        di.setImplementation(IStorage, MemoryStorage, {name: "cache"})
+        di.setImplementation(IStorage, S3Storage, {consumer: ReportService})
+
+        di.getAsync(ReportService).then((service) => {
+          expect(service.storage).toBe(di.get(S3Storage))
+          expect(service.cache).toBe(di.get(MemoryStorage))
+          done()
+        }).catch(done.fail)
+      })
+
+      it("should reject conflicting bindings", () => {
+        di.setImplementation(IStorage, MemoryStorage, {name: "cache"})
+        di.setImplementation(IStorage, S3Storage, {consumer: ReportService})
+
+        expect(() => {
+          di.setImplementation(IStorage, S3Storage, {name: "cache"})
+        }).toThrow()
+        expect(() => {
+          di.setImplementation(IStorage, FileStorage, {
+            consumer: ReportService
+          })
+        }).toThrow()
+        expect(() => {
+          di.setImplementation(IStorage, FileStorage, {
+            name: "file",
+            consumer: ReportService
+          })
+        }).toThrow()
+      })
+    })
+
+    describe("with the checkImplementations option", () => {
+      class IRepository {
+        find(id) {}
+
+        save(entity, options) {}
+
+        get size() {}
+
+        set limit(limit) {}
+      }
+      class IExtendedRepository extends IRepository {
+        clear() {}
+      }
+
+      beforeEach(() => {
+        di = new DependencyInjector({checkImplementations: true})
+      })
+
+      it("should accept conforming implementations", () => {
+        class BaseRepository {
+          find(id) {}
+
+          get size() {}
+        }
+        class Repository extends BaseRepository {
+          save(entity, options) {}
+
+          clear() {}
+
+          set limit(limit) {}
+        }
+
+        di.setImplementation(IExtendedRepository, Repository)
+        di.addImplementation(IRepository, Repository)
+      })
+
+      it("should report all missing members", () => {
+        class Repository {
+          find() {}
+
+          get limit() {}
+        }
+
+        expect(() => {
+          di.setImplementation(IExtendedRepository, Repository)
+        }).toThrowError("The Repository class does not conform to the " +
+            "IExtendedRepository interface: missing the clear() method, " +
+            "the find() method declares 0 parameter(s), the interface " +
+            "declares 1, missing the save() method, missing getter of the " +
+            "size property, missing setter of the limit property")
+      })
+
+      it("should follow the implementation chain", () => {
+        class IStorage {}
+        class Storage {}
+
+        di.setImplementation(IStorage, Storage)
+        expect(() => {
+          di.setImplementation(IRepository, IStorage)
+        }).toThrowError(/^The Storage class does not conform to the IRepo/)
+      })
+
+      it("should be inherited by child dependency injectors", () => {
+        expect(() => {
+          di.createChild().setImplementation(IRepository, class {})
+        }).toThrow()
+        expect(() => {
+          new DependencyInjector().setImplementation(IRepository, class {})
+        }).not.toThrow()
+      })
+    })
+
     it("should not allow reconfiguring implementation", () => {
       di.setImplementation(Interface1, Implementation)
 
@@ -213,17 +651,2763 @@ describe("DependencyInjector", () => {
       di.configure(Implementation, 1)
       expect(di.get(Interface1) instanceof Implementation).toBeTruthy()
     })
+
+    describe("profiles", () => {
+      class IMailer {}
+      class SmtpMailer {
+        static get dependencies() {
+          return []
+        }
+      }
+      class FakeMailer {
+        static get dependencies() {
+          return []
+        }
+      }
+
+      beforeEach(() => {
+        di = new DependencyInjector({profiles: ["production"]})
+      })
+
+      it("should use the implementation of the active profile", () => {
+        let testDi = new DependencyInjector({profiles: ["test"]})
+        for (let injector of [di, testDi]) {
+          injector.setImplementation(IMailer, SmtpMailer, {
+            profile: "production"
+          })
+          injector.setImplementation(IMailer, FakeMailer, {profile: "test"})
+        }
+
+        expect(di.get(IMailer) instanceof SmtpMailer).toBe(true)
+        expect(testDi.get(IMailer) instanceof FakeMailer).toBe(true)
+      })
+
+      it("should pass the active profiles to the predicates", () => {
+        let passedProfiles
+        di.setImplementation(IMailer, SmtpMailer, {
+          profile: (profiles) => {
+            passedProfiles = profiles
+            return profiles.indexOf("production") > -1
+          }
+        })
+
+        expect(di.get(IMailer) instanceof SmtpMailer).toBe(true)
+        expect(passedProfiles).toEqual(["production"])
+      })
+
+      it("should prefer the profile implementation to the default one", () => {
+        di.setImplementation(IMailer, FakeMailer)
+        di.setImplementation(IMailer, SmtpMailer, {profile: "production"})
+
+        expect(di.get(IMailer) instanceof SmtpMailer).toBe(true)
+      })
+
+      it("should fall back to the default implementation", () => {
+        di.setImplementation(IMailer, FakeMailer)
+        di.setImplementation(IMailer, SmtpMailer, {profile: "staging"})
+
+        expect(di.get(IMailer) instanceof FakeMailer).toBe(true)
+      })
+
+      it("should be inherited by child dependency injectors", () => {
+        di.setImplementation(IMailer, SmtpMailer, {profile: "production"})
+        let child = di.createChild()
+
+        expect(child.get(IMailer) instanceof SmtpMailer).toBe(true)
+        expect(() => {
+          new DependencyInjector({parent: di, profiles: []}).get(IMailer)
+        }).toThrowError(/matching the active profiles \(none\)/)
+      })
+
+      it("should reject resolving when no implementation matches", () => {
+        di.setImplementation(IMailer, FakeMailer, {profile: "test"})
+
+        expect(() => {
+          di.get(IMailer)
+        }).toThrowError("There is no implementation of the IMailer " +
+            "interface matching the active profiles (production) and the " +
+            "interface has no default implementation")
+      })
+
+      it("should report the resolution path when no implementation matches",
+          () => {
+        class Service {
+          static get dependencies() {
+            return [IMailer]
+          }
+        }
+        di.setImplementation(IMailer, FakeMailer, {profile: "test"})
+
+        let error
+        try {
+          di.get(Service)
+        } catch (thrownError) {
+          error = thrownError
+        }
+
+        expect(error instanceof ResolutionError).toBe(true)
+        expect(error.message).toBe("There is no implementation of the " +
+            "IMailer interface matching the active profiles (production) " +
+            "and the interface has no default implementation (required by " +
+            "Service)")
+        expect(error.path).toEqual([[Service], [IMailer]])
+        expect(error.interfaceConstructor).toBe(IMailer)
+        expect(error.classConstructor).toBe(Service)
+      })
+
+      it("should allow introspecting and overriding an interface no " +
+          "implementation of which matches", () => {
+        di.setImplementation(IMailer, FakeMailer, {profile: "test"})
+
+        let graph = di.describe()
+        expect(graph.nodes.map(node => node.name)).toContain("IMailer")
+        expect(di.validate([IMailer]).map(problem => problem.type)).toEqual([
+          ProblemType.MISSING_IMPLEMENTATION
+        ])
+
+        di.snapshot()
+        di.override(IMailer, SmtpMailer)
+        expect(di.get(IMailer) instanceof SmtpMailer).toBe(true)
+      })
+
+      it("should reject resolving when multiple implementations match", () => {
+        di.setImplementation(IMailer, SmtpMailer, {profile: "production"})
+        di.setImplementation(IMailer, FakeMailer, {profile: () => true})
+
+        expect(() => {
+          di.get(IMailer)
+        }).toThrowError("Multiple implementations of the IMailer interface " +
+            "match the active profiles (production): SmtpMailer, FakeMailer")
+      })
+
+      it("should not allow setting a profile implementation twice", () => {
+        di.setImplementation(IMailer, SmtpMailer, {profile: "production"})
+
+        expect(() => {
+          di.setImplementation(IMailer, FakeMailer, {profile: "production"})
+        }).toThrowError("The implementation of the IMailer interface for " +
+            "the \"production\" profile is already set")
+      })
+
+      it("should reject invalid profiles", () => {
+        expect(() => {
+          di.setImplementation(IMailer, SmtpMailer, {profile: 1})
+        }).toThrowError(TypeError)
+        expect(() => {
+          di.setImplementation(IMailer, SmtpMailer, {
+            profile: "test",
+            name: "smtp"
+          })
+        }).toThrowError(TypeError)
+        expect(() => {
+          new DependencyInjector({profiles: "production"})
+        }).toThrowError(TypeError)
+      })
+    })
   })
 
-  describe("clear", () => {
-    it("should clear the cache of shared instances", () => {
+  describe("property dependencies", () => {
+    it("should inject properties and call the post-construct hook", () => {
+      class Dependency {}
+      class Implementation {
+        constructor() {
+          this.log = []
+        }
+
+        set dependency(dependency) {
+          this.log.push("dependency")
+          this.dependencyValue = dependency
+        }
+
+        postConstruct() {
+          this.log.push("postConstruct")
+        }
+
+        static get injectProperties() {
+          return {
+            dependency: Dependency,
+            config: DependencyInjector.value("config")
+          }
+        }
+      }
+      di.configure(Dependency, 0)
+      di.configure(Implementation, 0)
+
+      let shared = di.get(Implementation)
+      expect(shared.dependencyValue).toBe(di.get(Dependency))
+      expect(shared.config).toBe("config")
+      expect(shared.log).toEqual(["dependency", "postConstruct"])
+
+      let created = di.create(Implementation)
+      expect(created).not.toBe(shared)
+      expect(created.log).toEqual(["dependency", "postConstruct"])
+    })
+
+    it("should inherit the property dependencies", () => {
+      class Dependency {}
+      class Parent {
+        static get injectProperties() {
+          return {dependency: Dependency}
+        }
+      }
+      class Child extends Parent {}
+      di.configure(Dependency, 0)
+      di.configure(Child, 0)
+
+      expect(di.get(Child).dependency).toBe(di.get(Dependency))
+    })
+
+    it("should allow configuring the names of the property and the hook",
+        () => {
+      class Implementation {
+        init() {
+          this.initialized = this.foo
+        }
+
+        static get inject() {
+          return {foo: DependencyInjector.value("bar")}
+        }
+      }
+      di.propertyDependenciesPropertyName = "inject"
+      di.postConstructMethodName = "init"
+      di.configure(Implementation, 0)
+
+      expect(di.get(Implementation).initialized).toBe("bar")
+      expect(() => {
+        di.postConstructMethodName = "postConstruct"
+      }).toThrow()
+      expect(() => {
+        di.propertyDependenciesPropertyName = "injectProperties"
+      }).toThrow()
+    })
+
+    it("should wait for asynchronous property dependencies and hooks",
+        (done) => {
+      let log = []
+      class Implementation {
+        postConstruct() {
+          log.push(`postConstruct ${this.connection}`)
+          return new Promise(resolve => setTimeout(resolve, 0))
+        }
+
+        initializeAsync() {
+          log.push("initializeAsync")
+        }
+
+        static get injectProperties() {
+          return {connection: "connection"}
+        }
+      }
+      di.registerFactory("connection", () => Promise.resolve("connected"))
+      di.configure(Implementation, 0)
+
+      di.getAsync(Implementation).then((instance) => {
+        expect(instance.connection).toBe("connected")
+        expect(log).toEqual(["postConstruct connected", "initializeAsync"])
+        done()
+      }).catch(done.fail)
+    })
+  })
+
+  describe("addImplementation", () => {
+    class IHandler {}
+    class FirstHandler {}
+    class SecondHandler {}
+    class ThirdHandler {}
+
+    beforeEach(() => {
+      di.configure(FirstHandler, 0)
+      di.configure(SecondHandler, 0)
+      di.configure(ThirdHandler, 0)
+    })
+
+    it("should provide the instances of all implementations", () => {
+      di.addImplementation(IHandler, FirstHandler)
+      di.addImplementation(IHandler, SecondHandler)
+
+      let handlers = di.getAll(IHandler)
+      expect(handlers.length).toBe(2)
+      expect(handlers[0]).toBe(di.get(FirstHandler))
+      expect(handlers[1]).toBe(di.get(SecondHandler))
+      expect(di.getAll(class {})).toEqual([])
+    })
+
+    it("should order the implementations by priority", () => {
+      di.addImplementation(IHandler, FirstHandler)
+      di.addImplementation(IHandler, SecondHandler, {priority: -1})
+      di.addImplementation(IHandler, ThirdHandler, {priority: 10})
+
+      expect(di.getAll(IHandler).map(handler => handler.constructor))
+          .toEqual([ThirdHandler, FirstHandler, SecondHandler])
+    })
+
+    it("should inject the instances using the all() marker", () => {
+      class Dispatcher {
+        constructor(handlers) {
+          this.handlers = handlers
+        }
+
+        static get dependencies() {
+          return [DependencyInjector.all(IHandler)]
+        }
+      }
+      di.addImplementation(IHandler, FirstHandler)
+
+      let child = di.createChild()
+      child.addImplementation(IHandler, SecondHandler)
+
+      expect(di.get(Dispatcher).handlers).toEqual([di.get(FirstHandler)])
+      expect(child.create(Dispatcher).handlers.map(h => h.constructor))
+          .toEqual([FirstHandler, SecondHandler])
+    })
+
+    it("should inject the instances asynchronously", (done) => {
+      class Dispatcher {
+        constructor(handlers) {
+          this.handlers = handlers
+        }
+      }
+      di.addImplementation(IHandler, "handler")
+      di.registerFactory("handler", () => Promise.resolve("handler"))
+
+      di.createAsync(Dispatcher, DependencyInjector.all(IHandler))
+          .then((dispatcher) => {
+        expect(dispatcher.handlers).toEqual(["handler"])
+        done()
+      }).catch(done.fail)
+    })
+
+    it("should reject adding the same implementation twice", () => {
+      di.addImplementation(IHandler, FirstHandler)
+
+      expect(() => {
+        di.addImplementation(IHandler, FirstHandler, {priority: 1})
+      }).toThrow()
+    })
+  })
+
+  describe("declareInterface", () => {
+    it("should reject resolving an unimplemented interface", () => {
+      class IStorage {}
+      class Service {
+        static get dependencies() {
+          return [IStorage]
+        }
+      }
+
+      di.declareInterface(IStorage)
+
+      expect(() => {
+        di.get(Service)
+      }).toThrowError("Cannot resolve Service -> IStorage, because the " +
+          "IStorage interface has no implementation configured in this " +
+          "dependency injector")
+    })
+
+    it("should allow resolving an implemented interface", () => {
+      class IStorage {}
+      class Storage {}
+
+      di.declareInterface(IStorage)
+      di.setImplementation(IStorage, Storage)
+      di.configure(Storage, 0)
+
+      expect(di.get(IStorage) instanceof Storage).toBeTruthy()
+    })
+
+    it("should treat declared interfaces as optional dependencies", () => {
+      class IStorage {}
+      class Implementation {
+        constructor(storage) {
+          this.storage = storage
+        }
+      }
+      di.declareInterface(IStorage)
+
+      let instance = di.create(
+        Implementation,
+        DependencyInjector.optional(IStorage, null)
+      )
+      expect(instance.storage).toBeNull()
+    })
+
+    it("should not allow configuring interfaces with dependencies", () => {
+      class IStorage {}
+      class Storage {}
+      di.declareInterface(IStorage)
+      di.configure(Storage, 0)
+
+      expect(() => {
+        di.configure(IStorage, 0)
+      }).toThrow()
+      expect(() => {
+        di.declareInterface(Storage)
+      }).toThrow()
+    })
+  })
+
+  describe("registerFactory", () => {
+    it("should use the factory to create instances", () => {
+      class Client {
+        constructor(url) {
+          this.url = url
+        }
+      }
+      let factory = jasmine.createSpy("factory").and.callFake(
+        () => new Client("http://localhost/")
+      )
+
+      di.registerFactory(Client, factory)
+
+      expect(di.get(Client).url).toBe("http://localhost/")
+      expect(di.get(Client)).toBe(di.get(Client))
+      expect(di.create(Client)).not.toBe(di.get(Client))
+      expect(factory).toHaveBeenCalledWith(di)
+      expect(factory.calls.count()).toBe(2)
+    })
+
+    it("should allow symbol and string tokens as dependencies", () => {
+      let clientToken = Symbol("client")
+      class Implementation {
+        constructor(client, config, literal) {
+          this.client = client
+          this.config = config
+          this.literal = literal
+        }
+
+        static get dependencies() {
+          return [clientToken, "config", "literal"]
+        }
+      }
+
+      di.registerFactory(clientToken, () => ({name: "client"}))
+      di.registerFactory("config", injector => ({
+        client: injector.get(clientToken)
+      }))
+
+      let instance = di.get(Implementation)
+      expect(instance.client).toEqual({name: "client"})
+      expect(instance.config.client).toBe(instance.client)
+      expect(instance.literal).toBe("literal")
+    })
+
+    it("should be usable as an interface implementation", () => {
+      class IClient {}
+      let clientToken = Symbol("client")
+
+      di.setImplementation(IClient, clientToken)
+      di.registerFactory(clientToken, () => ({name: "client"}))
+
+      expect(di.get(IClient)).toEqual({name: "client"})
+      expect(di.get(IClient)).toBe(di.get(clientToken))
+    })
+
+    it("should wait for asynchronous factories", (done) => {
+      di.registerFactory("connection", () => Promise.resolve("connected"))
+
+      di.getAsync("connection").then((connection) => {
+        expect(connection).toBe("connected")
+        done()
+      }).catch(done.fail)
+    })
+
+    it("should reject registering a provider twice or for a configured " +
+        "class", () => {
       class Implementation {}
+
+      di.registerFactory("foo", () => 1)
       di.configure(Implementation, 1)
 
-      let instance = di.get(Implementation)
-      di.clear()
+      expect(() => {
+        di.registerFactory("foo", () => 2)
+      }).toThrow()
+      expect(() => {
+        di.registerValue(Implementation, 2)
+      }).toThrow()
+      expect(() => {
+        di.registerFactory({}, () => 2)
+      }).toThrow()
+    })
+  })
+
+  describe("registerValue", () => {
+    it("should provide the value to both get and create", () => {
+      let config = {debug: true}
+      class Implementation {
+        constructor(config) {
+          this.config = config
+        }
+      }
+
+      di.registerValue("config", config)
+      di.configure(Implementation, "config")
+
+      expect(di.get("config")).toBe(config)
+      expect(di.create("config")).toBe(config)
+      expect(di.create(Implementation).config).toBe(config)
+    })
+
+    it("should allow injecting plain functions", () => {
+      class Logger {}
+      class Implementation {
+        constructor(logger) {
+          this.logger = logger
+        }
+      }
+      let log = () => {}
+
+      di.registerValue(Logger, log)
+      di.configure(Implementation, Logger)
+
+      expect(di.get(Logger)).toBe(log)
+      expect(di.get(Implementation).logger).toBe(log)
+    })
+  })
+
+  describe("dependency markers", () => {
+    it("should inject marked functions and classes literally", () => {
+      class Dependency {}
+      class Implementation {
+        constructor(callback, classRef, token) {
+          this.callback = callback
+          this.classRef = classRef
+          this.token = token
+        }
+
+        static get dependencies() {
+          return [
+            DependencyInjector.value(callback),
+            DependencyInjector.classRef(Dependency),
+            DependencyInjector.value("config")
+          ]
+        }
+      }
+      let callback = () => {}
+
+      di.registerValue("config", {})
+
+      let instance = di.get(Implementation)
+      expect(instance.callback).toBe(callback)
+      expect(instance.classRef).toBe(Dependency)
+      expect(instance.token).toBe("config")
+    })
+
+    it("should be usable in configure() and create()", () => {
+      class Implementation {
+        constructor(first, second) {
+          this.first = first
+          this.second = second
+        }
+      }
+      let first = () => 1
+      let second = () => 2
+
+      di.configure(Implementation, DependencyInjector.value(first), 0)
+
+      expect(di.create(Implementation).first).toBe(first)
+      expect(
+        di.create(Implementation, 0, DependencyInjector.value(second)).second
+      ).toBe(second)
+    })
+
+    it("should be usable in createAsync()", (done) => {
+      class Implementation {
+        constructor(classRef) {
+          this.classRef = classRef
+        }
+      }
+
+      di.createAsync(
+        Implementation,
+        DependencyInjector.classRef(Implementation)
+      ).then((instance) => {
+        expect(instance.classRef).toBe(Implementation)
+        done()
+      }).catch(done.fail)
+    })
+
+    it("should inject lazily resolved shared instances", () => {
+      let instantiations = 0
+      class IService {}
+      class Service {
+        constructor() {
+          instantiations++
+        }
+      }
+      class Implementation {
+        constructor(service) {
+          this.service = service
+        }
+
+        static get dependencies() {
+          return [DependencyInjector.lazy(IService)]
+        }
+      }
+      di.configure(Service, 0)
+
+      let instance = di.get(Implementation)
+      expect(instantiations).toBe(0)
+
+      di.setImplementation(IService, Service)
+      expect(instance.service() instanceof Service).toBeTruthy()
+      expect(instance.service()).toBe(di.get(IService))
+      expect(instantiations).toBe(1)
+    })
+
+    it("should inject providers of new instances", () => {
+      class Service {}
+      class Implementation {
+        constructor(serviceProvider) {
+          this.serviceProvider = serviceProvider
+        }
+      }
+      di.configure(Service, 0)
+      di.configure(Implementation, DependencyInjector.provider(Service))
+
+      let instance = di.get(Implementation)
+      let service = instance.serviceProvider()
+      expect(service instanceof Service).toBeTruthy()
+      expect(instance.serviceProvider()).not.toBe(service)
+      expect(
+        di.create(Implementation, DependencyInjector.provider(Service))
+            .serviceProvider() instanceof Service
+      ).toBeTruthy()
+    })
+
+    it("should allow lazy cyclic dependencies", () => {
+      class A {
+        constructor(b) {
+          this.b = b
+        }
+
+        static get dependencies() {
+          return [B]
+        }
+      }
+      class B {
+        constructor(a) {
+          this.a = a
+        }
+
+        static get dependencies() {
+          return [DependencyInjector.lazy(A)]
+        }
+      }
+
+      let a = di.get(A)
+      expect(a.b.a()).toBe(a)
+    })
+
+    it("should inject the fallback of unregistered optional dependencies",
+        () => {
+      class ICache {}
+      class Cache {}
+      class Implementation {
+        constructor(cache, logger) {
+          this.cache = cache
+          this.logger = logger
+        }
+
+        static get dependencies() {
+          return [
+            DependencyInjector.optional(ICache, "no cache"),
+            DependencyInjector.optional("logger")
+          ]
+        }
+      }
+
+      let instance = di.create(Implementation)
+      expect(instance.cache).toBe("no cache")
+      expect(instance.logger).toBeUndefined()
+
+      di.setImplementation(ICache, Cache)
+      di.configure(Cache, 0)
+      di.registerValue("logger", console)
+
+      instance = di.create(Implementation)
+      expect(instance.cache).toBe(di.get(ICache))
+      expect(instance.logger).toBe(console)
+    })
+
+    it("should resolve registered optional dependencies asynchronously",
+        (done) => {
+      class Implementation {
+        constructor(connection, missing) {
+          this.connection = connection
+          this.missing = missing
+        }
+      }
+      di.registerFactory("connection", () => Promise.resolve("connected"))
+
+      di.createAsync(
+        Implementation,
+        DependencyInjector.optional("connection"),
+        DependencyInjector.optional("missing", 1)
+      ).then((instance) => {
+        expect(instance.connection).toBe("connected")
+        expect(instance.missing).toBe(1)
+        done()
+      }).catch(done.fail)
+    })
+
+    it("should reject non-class class references", () => {
+      expect(() => {
+        DependencyInjector.classRef("foo")
+      }).toThrow()
+    })
+  })
+
+  describe("setLifetime", () => {
+    class Logger {}
+    class Service {
+      constructor(logger) {
+        this.logger = logger
+      }
+
+      static get dependencies() {
+        return [Logger]
+      }
+    }
+
+    beforeEach(() => {
+      di.configure(Logger, 0)
+    })
+
+    it("should create transient instances on every injection", () => {
+      di.setLifetime(Logger, Lifetime.TRANSIENT)
+
+      let service = di.get(Service)
+      expect(service.logger instanceof Logger).toBeTruthy()
+      expect(di.create(Service).logger).not.toBe(service.logger)
+      expect(di.get(Logger)).not.toBe(di.get(Logger))
+      expect(di.get(Service)).toBe(service)
+    })
+
+    it("should apply the lifetime set for an interface", () => {
+      class ILogger {}
+      di.setImplementation(ILogger, Logger)
+      di.setLifetime(ILogger, Lifetime.TRANSIENT)
+
+      expect(di.get(ILogger)).not.toBe(di.get(ILogger))
+      expect(di.get(Logger)).toBe(di.get(Logger))
+    })
+
+    it("should share scoped instances within a scope", () => {
+      di.setLifetime(Logger, Lifetime.SCOPED)
+      di.setLifetime(Service, Lifetime.SCOPED)
+
+      let scope1 = di.createScope()
+      let scope2 = di.createScope()
+      expect(scope1.get(Service).logger).toBe(scope1.get(Logger))
+      expect(scope1.get(Logger)).not.toBe(scope2.get(Logger))
+    })
+
+    it("should provide singletons from outside of the scope", () => {
+      di.setLifetime(Service, Lifetime.SCOPED)
+
+      let scope = di.createScope()
+      expect(scope.get(Service).logger).toBe(di.get(Logger))
+
+      scope.clear()
+      expect(di.get(Logger)).toBe(scope.get(Service).logger)
+    })
+
+    it("should use the bindings registered in the scope", () => {
+      class ILogger {}
+      class FileLogger {
+        static get dependencies() {
+          return []
+        }
+      }
+      di.setImplementation(ILogger, Logger)
+      di.setLifetime(Service, Lifetime.SCOPED)
+
+      let scope = di.createScope()
+      scope.setImplementation(ILogger, FileLogger)
+      scope.registerValue("request", "GET /")
+      scope.configure(Service, ILogger, "request")
+
+      expect(scope.get(ILogger) instanceof FileLogger).toBe(true)
+      expect(scope.get(ILogger)).toBe(scope.get(ILogger))
+      expect(scope.get("request")).toBe("GET /")
+      expect(scope.get(Service).logger instanceof FileLogger).toBe(true)
+      expect(di.get(ILogger) instanceof Logger).toBe(true)
+      expect(di.createScope().get(ILogger)).toBe(di.get(ILogger))
+    })
+
+    it("should reject resolving scoped instances outside of a scope", () => {
+      di.setLifetime(Logger, Lifetime.SCOPED)
+
+      expect(() => {
+        di.get(Logger)
+      }).toThrowError(/outside of a scope/)
+      expect(() => {
+        di.createScope().get(Service)
+      }).toThrowError(/Service -> Logger outside of a scope/)
+    })
+
+    it("should respect lifetimes in getAsync", (done) => {
+      di.setLifetime(Logger, Lifetime.TRANSIENT)
+      di.setLifetime(Service, Lifetime.SCOPED)
+
+      let scope = di.createScope()
+      Promise.all([
+        scope.getAsync(Service),
+        scope.getAsync(Service),
+        scope.getAsync(Logger)
+      ]).then(([first, second, logger]) => {
+        expect(first).toBe(second)
+        expect(first.logger).not.toBe(logger)
+        done()
+      }).catch(done.fail)
+    })
+
+    it("should reject unknown and repeatedly set lifetimes", () => {
+      expect(() => {
+        di.setLifetime(Logger, "forever")
+      }).toThrow()
+
+      di.setLifetime(Logger, Lifetime.TRANSIENT)
+      expect(() => {
+        di.setLifetime(Logger, Lifetime.SINGLETON)
+      }).toThrow()
+    })
+  })
+
+  describe("createChild", () => {
+    it("should fall back to the parent's configuration", () => {
+      class Interface {}
+      class Implementation {
+        constructor(arg) {
+          this.arg = arg
+        }
+      }
+
+      di.setImplementation(Interface, Implementation)
+      di.configure(Implementation, "foo")
+
+      let child = di.createChild()
+      expect(child.create(Interface) instanceof Implementation).toBeTruthy()
+      expect(child.create(Interface).arg).toBe("foo")
+    })
+
+    it("should allow overriding the parent's configuration without " +
+        "affecting the parent", () => {
+      class Interface {}
+      class Implementation1 {}
+      class Implementation2 {
+        constructor(arg) {
+          this.arg = arg
+        }
+      }
+
+      di.setImplementation(Interface, Implementation1)
+      di.configure(Implementation1, 0)
+      di.configure(Implementation2, "foo")
+
+      let child = di.createChild()
+      child.setImplementation(Interface, Implementation2)
+      child.configure(Implementation2, "bar")
+
+      expect(child.get(Interface) instanceof Implementation2).toBeTruthy()
+      expect(child.get(Interface).arg).toBe("bar")
+      expect(di.get(Interface) instanceof Implementation1).toBeTruthy()
+      expect(di.create(Implementation2).arg).toBe("foo")
+    })
+
+    it("should use the shared instances of the parent", () => {
+      class Implementation {}
+      di.configure(Implementation, 0)
+
+      let instance = di.get(Implementation)
+      expect(di.createChild().get(Implementation)).toBe(instance)
+    })
+
+    it("should create the singletons bound in the parent in the parent",
+        () => {
+      class Implementation {}
+      di.configure(Implementation, 0)
+
+      let child1 = di.createChild()
+      let child2 = di.createChild()
+      let instance = child1.get(Implementation)
+      expect(child2.get(Implementation)).toBe(instance)
+      expect(di.get(Implementation)).toBe(instance)
+    })
+
+    it("should keep its own registry of shared instances", () => {
+      class Implementation {}
+      di.configure(Implementation, 0)
+
+      let child = di.createChild()
+      child.configure(Implementation, 1)
+      let instance = child.get(Implementation)
+      expect(child.get(Implementation)).toBe(instance)
+      expect(di.get(Implementation)).not.toBe(instance)
+
+      child.clear()
+      expect(child.get(Implementation)).not.toBe(instance)
+      expect(child.get(Implementation)).not.toBe(di.get(Implementation))
+    })
+
+    it("should prefer its own bindings over the instances of the parent",
+        () => {
+      class Foo {
+        constructor(value) {
+          this.value = value
+        }
+      }
+      di.configure(Foo, "parent")
+      di.registerValue("answer", 42)
+      let parentFoo = di.get(Foo)
+      di.get("answer")
+
+      let child = di.createChild()
+      child.configure(Foo, "child")
+      child.registerValue("answer", 1)
+
+      expect(child.get(Foo)).not.toBe(parentFoo)
+      expect(child.get(Foo).value).toBe("child")
+      expect(child.get("answer")).toBe(1)
+      expect(di.get(Foo)).toBe(parentFoo)
+    })
+
+    it("should inherit the \"default dependencies\" property name", () => {
+      di.dependenciesPropertyName = "deps"
+
+      expect(di.createChild().dependenciesPropertyName).toBe("deps")
+    })
+  })
+
+  describe("runInScope", () => {
+    class CurrentUser {
+      static get dependencies() {
+        return []
+      }
+    }
+    class Database {
+      static get dependencies() {
+        return []
+      }
+    }
+    class Transaction {
+      constructor(database, user) {
+        this.database = database
+        this.user = user
+      }
+
+      static get dependencies() {
+        return [Database, CurrentUser]
+      }
+    }
+
+    beforeEach(() => {
+      di.setLifetime(CurrentUser, Lifetime.SCOPED)
+      di.setLifetime(Transaction, Lifetime.SCOPED)
+    })
+
+    it("should resolve the scoped classes in a new scope", () => {
+      let users = []
+      let transaction = di.runInScope(() => {
+        users.push(di.get(CurrentUser))
+        return di.get(Transaction)
+      })
+      di.runInScope(() => users.push(di.get(CurrentUser)))
+
+      expect(transaction.user).toBe(users[0])
+      expect(users[0]).not.toBe(users[1])
+      expect(transaction.database).toBe(di.get(Database))
+    })
+
+    it("should pass the scope to the callback", () => {
+      di.runInScope((scope) => {
+        expect(scope.get(CurrentUser)).toBe(di.get(CurrentUser))
+        expect(scope).not.toBe(di)
+      })
+    })
+
+    it("should dispose the scoped instances once the callback returns",
+        () => {
+      let disposed = []
+      class Session {
+        dispose() {
+          disposed.push(this)
+        }
+
+        static get dependencies() {
+          return []
+        }
+      }
+      di.setLifetime(Session, Lifetime.SCOPED)
+
+      let session = di.runInScope(() => di.get(Session))
+
+      expect(disposed).toEqual([session])
+      expect(() => di.get(Session)).toThrowError(/outside of a scope/)
+    })
+
+    it("should dispose the scope once the returned promise settles",
+        (done) => {
+      let store
+      let asyncContext = {
+        run(newStore, callback) {
+          store = newStore
+          return callback()
+        },
+        getStore() {
+          return store
+        }
+      }
+      let disposed = 0
+      class Session {
+        dispose() {
+          disposed++
+        }
+
+        static get dependencies() {
+          return []
+        }
+      }
+      di = new DependencyInjector({asyncContext})
+      di.setLifetime(Session, Lifetime.SCOPED)
+
+      di.runInScope(() => {
+        let session = di.get(Session)
+        return Promise.resolve().then(() => {
+          expect(di.get(Session)).toBe(session)
+          expect(disposed).toBe(0)
+          return session
+        })
+      }).then((session) => {
+        expect(session instanceof Session).toBe(true)
+        expect(disposed).toBe(1)
+
+        return di.runInScope(() => {
+          di.get(Session)
+          return Promise.reject(new Error("failed"))
+        })
+      }).then(done.fail, (error) => {
+        expect(error.message).toBe("failed")
+        expect(disposed).toBe(2)
+        done()
+      })
+    })
+
+    it("should not make the scoped instances injectable into singletons",
+        () => {
+      class Service {
+        constructor(user) {}
+
+        static get dependencies() {
+          return [CurrentUser]
+        }
+      }
+
+      di.runInScope(() => {
+        expect(() => di.get(Service)).toThrowError(/outside of a scope/)
+      })
+    })
+
+    it("should support nested scopes of child dependency injectors", () => {
+      let child = di.createChild()
+      di.runInScope(() => {
+        let user = di.get(CurrentUser)
+        child.runInScope(() => {
+          expect(child.get(CurrentUser)).not.toBe(user)
+          expect(di.get(CurrentUser)).toBe(user)
+        })
+      })
+    })
+
+    it("should reject promises without an asynchronous context", (done) => {
+      let disposed = 0
+      class Session {
+        dispose() {
+          disposed++
+        }
+
+        static get dependencies() {
+          return []
+        }
+      }
+      di.setLifetime(Session, Lifetime.SCOPED)
+      let rejection = Promise.reject(new Error("handler failed"))
+      let handled = false
+      rejection.then = function (...args) {
+        handled = true
+        return Promise.prototype.then.apply(this, args)
+      }
+
+      expect(() => {
+        di.runInScope(() => {
+          di.get(Session)
+          return rejection
+        })
+      }).toThrowError(TypeError, /asyncContext option/)
+      expect(handled).toBe(true)
+      expect(disposed).toBe(0)
+      rejection.catch(() => {}).then(() => new Promise((resolve) => {
+        setTimeout(resolve)
+      })).then(() => {
+        expect(disposed).toBe(1)
+        done()
+      }).catch(done.fail)
+    })
+
+    it("should reject invalid callbacks and asynchronous contexts", () => {
+      expect(() => di.runInScope(null)).toThrowError(TypeError)
+      expect(() => {
+        new DependencyInjector({asyncContext: {}})
+      }).toThrowError(TypeError)
+    })
+  })
+
+  describe("loadConfig", () => {
+    class IStorage {}
+    class MemoryStorage {
+      static get dependencies() {
+        return []
+      }
+    }
+    class IMailer {}
+    class SmtpMailer {
+      constructor(host) {
+        this.host = host
+      }
+    }
+    class Service {
+      constructor(storage, mailer, url, options) {
+        this.storage = storage
+        this.mailer = mailer
+        this.url = url
+        this.options = options
+      }
+    }
+    let classRegistry = {
+      IStorage,
+      MemoryStorage,
+      IMailer,
+      SmtpMailer,
+      Service
+    }
+
+    it("should apply the manifest", () => {
+      di.registerValue("apiUrl", "/api")
+      di.loadConfig({
+        implementations: {
+          IStorage: "MemoryStorage"
+        },
+        dependencies: {
+          SmtpMailer: ["localhost"],
+          Service: [
+            {ref: "IStorage"},
+            {ref: "IMailer", name: "smtp"},
+            {token: "apiUrl"},
+            {value: {retries: 3}}
+          ]
+        },
+        lifetimes: {
+          SmtpMailer: "transient"
+        }
+      }, classRegistry)
+      di.setImplementation(IMailer, SmtpMailer, {name: "smtp"})
+
+      let service = di.get(Service)
+      expect(service.storage instanceof MemoryStorage).toBeTruthy()
+      expect(service.mailer instanceof SmtpMailer).toBeTruthy()
+      expect(service.mailer.host).toBe("localhost")
+      expect(service.url).toBe("/api")
+      expect(service.options).toEqual({retries: 3})
+      expect(di.get(SmtpMailer)).not.toBe(di.get(SmtpMailer))
+    })
+
+    it("should inject literal strings as-is", () => {
+      di.registerValue("localhost", "token value")
+      di.loadConfig({
+        dependencies: {
+          SmtpMailer: ["localhost"]
+        }
+      }, classRegistry)
+
+      expect(di.get(SmtpMailer).host).toBe("localhost")
+    })
+
+    it("should accept objects without prototype", () => {
+      let registry = Object.create(null)
+      registry.IStorage = IStorage
+      registry.MemoryStorage = MemoryStorage
+      registry.Service = Service
+      let implementations = Object.create(null)
+      implementations.IStorage = "MemoryStorage"
+      let dependency = Object.create(null)
+      dependency.ref = "IStorage"
+
+      di.loadConfig({
+        implementations,
+        dependencies: {
+          Service: [dependency, {value: null}, "/api", {value: null}]
+        }
+      }, registry)
+
+      expect(di.get(Service).storage instanceof MemoryStorage).toBeTruthy()
+    })
+
+    it("should not rely on the hasOwnProperty method of the objects", () => {
+      class hasOwnProperty {
+        static get dependencies() {
+          return []
+        }
+      }
+
+      let registry = {hasOwnProperty, SmtpMailer}
+
+      expect(() => {
+        di.loadConfig({
+          dependencies: {
+            SmtpMailer: [{value: "localhost", hasOwnProperty: null}]
+          }
+        }, registry)
+      }).toThrowError(
+        "Invalid configuration manifest at manifest.dependencies." +
+        "SmtpMailer[0].hasOwnProperty: unexpected property, expected only " +
+        "value"
+      )
+
+      di.loadConfig({
+        dependencies: {
+          SmtpMailer: [{ref: "hasOwnProperty"}]
+        }
+      }, registry)
+      expect(di.get(SmtpMailer).host instanceof hasOwnProperty).toBeTruthy()
+    })
+
+    it("should report the manifest path of invalid entries", () => {
+      let load = manifest => () => di.loadConfig(manifest, classRegistry)
+
+      expect(load([])).toThrowError(
+        "Invalid configuration manifest at manifest: expected an object, " +
+        "array found"
+      )
+      expect(load({bindings: {}})).toThrowError(
+        "Invalid configuration manifest at manifest.bindings: unknown " +
+        "section, expected one of implementations, dependencies, lifetimes"
+      )
+      expect(load({implementations: {IStorage: "FileStorage"}})).toThrowError(
+        "Invalid configuration manifest at manifest.implementations." +
+        "IStorage: the \"FileStorage\" class is not in the class registry"
+      )
+      expect(load({dependencies: {Service: [1, {ref: "Missing"}]}}))
+          .toThrowError(
+            "Invalid configuration manifest at manifest.dependencies." +
+            "Service[1].ref: the \"Missing\" class is not in the class " +
+            "registry"
+          )
+      expect(load({dependencies: {Service: [{ref: "IStorage", as: 1}]}}))
+          .toThrowError(
+            "Invalid configuration manifest at manifest.dependencies." +
+            "Service[0].as: unexpected property, expected only ref, name"
+          )
+      expect(load({lifetimes: {"my-service": "forever"}})).toThrowError(
+        "Invalid configuration manifest at manifest.lifetimes[\"my-service\"]" +
+        ": unknown lifetime \"forever\", expected one of singleton, " +
+        "transient, scoped"
+      )
+    })
+
+    it("should not apply an invalid manifest at all", () => {
+      expect(() => {
+        di.loadConfig({
+          implementations: {IStorage: "MemoryStorage"},
+          dependencies: {Service: {}}
+        }, classRegistry)
+      }).toThrow()
+
+      expect(() => {
+        di.setImplementation(IStorage, MemoryStorage)
+      }).not.toThrow()
+    })
+
+    it("should report conflicts with the current configuration", () => {
+      di.configure(SmtpMailer, "example.com")
+
+      expect(() => {
+        di.loadConfig({
+          dependencies: {SmtpMailer: ["localhost"]}
+        }, classRegistry)
+      }).toThrowError(
+        "Cannot apply the configuration manifest at manifest.dependencies." +
+        "SmtpMailer: The SmtpMailer class has already been configured in " +
+        "this dependency injector"
+      )
+    })
+
+    it("should revert the applied entries if any entry conflicts", () => {
+      di.configure(SmtpMailer, "example.com")
+
+      expect(() => {
+        di.loadConfig({
+          implementations: {IStorage: "MemoryStorage"},
+          dependencies: {
+            Service: [{ref: "IStorage"}],
+            SmtpMailer: ["localhost"]
+          }
+        }, classRegistry)
+      }).toThrowError(ConfigurationError)
+
+      expect(() => {
+        di.setImplementation(IStorage, MemoryStorage)
+        di.configure(Service, IStorage)
+      }).not.toThrow()
+      expect(di.get(SmtpMailer).host).toBe("example.com")
+    })
+  })
+
+  describe("replaceImplementation", () => {
+    class IMailer {}
+    class SmtpMailer {
+      static get dependencies() {
+        return []
+      }
+    }
+    class FakeMailer {
+      static get dependencies() {
+        return []
+      }
+    }
+
+    it("should replace the implementation of an interface", () => {
+      di.setImplementation(IMailer, SmtpMailer)
+      let original = di.get(IMailer)
+
+      di.replaceImplementation(IMailer, FakeMailer)
+
+      expect(original instanceof SmtpMailer).toBe(true)
+      expect(di.get(IMailer) instanceof FakeMailer).toBe(true)
+    })
+
+    it("should re-create the transitive dependents", () => {
+      class Notifier {
+        constructor(mailer) {
+          this.mailer = mailer
+        }
+
+        static get dependencies() {
+          return [IMailer]
+        }
+      }
+      class App {
+        constructor(notifier) {
+          this.notifier = notifier
+        }
+
+        static get dependencies() {
+          return [Notifier]
+        }
+      }
+      class Unrelated {
+        static get dependencies() {
+          return []
+        }
+      }
+      di.setImplementation(IMailer, SmtpMailer)
+      let app = di.get(App)
+      let unrelated = di.get(Unrelated)
+
+      di.replaceImplementation(IMailer, FakeMailer)
+
+      let newApp = di.get(App)
+      expect(newApp).not.toBe(app)
+      expect(newApp.notifier).not.toBe(app.notifier)
+      expect(newApp.notifier.mailer instanceof FakeMailer).toBe(true)
+      expect(di.get(Notifier)).toBe(newApp.notifier)
+      expect(di.get(Unrelated)).toBe(unrelated)
+    })
+
+    it("should dispose the invalidated instances, dependents first", () => {
+      let disposed = []
+      class Mailer {
+        dispose() {
+          disposed.push("Mailer")
+        }
+
+        static get dependencies() {
+          return []
+        }
+      }
+      class Notifier {
+        constructor(mailer) {}
+
+        dispose() {
+          disposed.push("Notifier")
+        }
+
+        static get dependencies() {
+          return [IMailer]
+        }
+      }
+      di.setImplementation(IMailer, Mailer)
+      di.get(Notifier)
+
+      di.replaceImplementation(IMailer, FakeMailer)
+
+      expect(disposed).toEqual(["Notifier", "Mailer"])
+    })
+
+    it("should track the dependents injected through transient classes",
+        () => {
+      class Formatter {
+        constructor(mailer) {}
+
+        static get dependencies() {
+          return [IMailer]
+        }
+      }
+      class Report {
+        constructor(formatter) {}
+
+        static get dependencies() {
+          return [Formatter]
+        }
+      }
+      di.setImplementation(IMailer, SmtpMailer)
+      di.setLifetime(Formatter, Lifetime.TRANSIENT)
+      let report = di.get(Report)
+
+      di.replaceImplementation(IMailer, FakeMailer)
+
+      expect(di.get(Report)).not.toBe(report)
+    })
+
+    it("should track the dependents injected through factories", () => {
+      di.setImplementation(IMailer, SmtpMailer)
+      di.registerFactory("service", injector => ({
+        mailer: injector.get(IMailer)
+      }))
+      let service = di.get("service")
+
+      di.replaceImplementation(IMailer, FakeMailer)
+
+      let newService = di.get("service")
+      expect(newService).not.toBe(service)
+      expect(newService.mailer instanceof FakeMailer).toBe(true)
+    })
+
+    it("should replace the implementations bound to profiles", () => {
+      di = new DependencyInjector({profiles: ["production"]})
+      di.setImplementation(IMailer, SmtpMailer, {profile: "production"})
+
+      di.replaceImplementation(IMailer, FakeMailer)
+
+      expect(di.get(IMailer) instanceof FakeMailer).toBe(true)
+    })
+
+    it("should replace the implementations bound to inactive profiles",
+        () => {
+      di = new DependencyInjector({profiles: ["production"]})
+      di.setImplementation(IMailer, SmtpMailer, {profile: "test"})
+
+      di.replaceImplementation(IMailer, FakeMailer)
+
+      expect(di.get(IMailer) instanceof FakeMailer).toBe(true)
+    })
+
+    it("should dispose the instance of the active profile implementation",
+        () => {
+      let disposed = []
+      class ProfileMailer {
+        dispose() {
+          disposed.push(this)
+        }
+
+        static get dependencies() {
+          return []
+        }
+      }
+      di = new DependencyInjector({profiles: ["production"]})
+      di.setImplementation(IMailer, ProfileMailer, {profile: "production"})
+      let mailer = di.get(IMailer)
+
+      di.replaceImplementation(IMailer, FakeMailer)
+
+      expect(disposed).toEqual([mailer])
+    })
+
+    it("should be reverted by restoring a snapshot", () => {
+      di.setImplementation(IMailer, SmtpMailer)
+      di.snapshot()
+
+      di.replaceImplementation(IMailer, FakeMailer)
+      di.restore()
+
+      expect(di.get(IMailer) instanceof SmtpMailer).toBe(true)
+    })
+
+    it("should reject replacing an interface by itself", () => {
+      expect(() => {
+        di.replaceImplementation(IMailer, IMailer)
+      }).toThrowError(ConfigurationError)
+    })
+  })
+
+  describe("snapshot, override and restore", () => {
+    class IMailer {}
+    class SmtpMailer {
+      static get dependencies() {
+        return []
+      }
+    }
+    class FakeMailer {
+      static get dependencies() {
+        return []
+      }
+    }
+    class Service {
+      constructor(mailer) {
+        this.mailer = mailer
+      }
+
+      static get dependencies() {
+        return [IMailer]
+      }
+    }
+
+    beforeEach(() => {
+      di.setImplementation(IMailer, SmtpMailer)
+    })
+
+    it("should override the interfaces bound to profiles", () => {
+      di = new DependencyInjector({profiles: ["production"]})
+      di.setImplementation(IMailer, SmtpMailer, {profile: "test"})
+
+      di.snapshot()
+      di.override(IMailer, FakeMailer)
+      expect(di.get(IMailer) instanceof FakeMailer).toBe(true)
+
+      di.restore()
+      expect(() => di.get(IMailer)).toThrowError(ResolutionError,
+          /matching the active profiles \(production\)/)
+    })
+
+    it("should temporarily override a binding", () => {
+      di.snapshot()
+      di.override(IMailer, FakeMailer)
+      expect(di.get(Service).mailer instanceof FakeMailer).toBeTruthy()
+
+      di.restore()
+      expect(di.get(Service).mailer instanceof SmtpMailer).toBeTruthy()
+    })
+
+    it("should override a binding using a value", () => {
+      let fakeMailer = {}
+      di.snapshot()
+      di.override(IMailer, DependencyInjector.value(fakeMailer))
+
+      expect(di.get(IMailer)).toBe(fakeMailer)
+      expect(di.get(Service).mailer).toBe(fakeMailer)
+    })
+
+    it("should replace the shared instances", () => {
+      let mailer = di.get(IMailer)
+      di.snapshot()
+      di.override(SmtpMailer, FakeMailer)
+
+      expect(di.get(IMailer) instanceof FakeMailer).toBeTruthy()
+      di.restore()
+      expect(di.get(IMailer)).toBe(mailer)
+    })
+
+    it("should revert the configuration and the instantiated classes", () => {
+      di.snapshot()
+      di.dependenciesPropertyName = "inject"
+      di.configure(FakeMailer, 1)
+      di.get(FakeMailer)
+      di.restore()
+
+      expect(di.dependenciesPropertyName).toBe("dependencies")
+      expect(() => {
+        di.configure(FakeMailer, 2)
+        di.dependenciesPropertyName = "inject"
+      }).not.toThrow()
+    })
+
+    it("should dispose the instances created since the snapshot", () => {
+      let disposed = []
+      class Disposable {
+        dispose() {
+          disposed.push(this)
+        }
+
+        static get dependencies() {
+          return []
+        }
+      }
+      class Other extends Disposable {
+        static get dependencies() {
+          return []
+        }
+      }
+      let kept = di.get(Disposable)
+      di.snapshot()
+      let discarded = di.get(Other)
+      di.restore()
+
+      expect(disposed).toEqual([discarded])
+      expect(di.get(Disposable)).toBe(kept)
+    })
+
+    it("should support nested snapshots", () => {
+      class OtherMailer {
+        static get dependencies() {
+          return []
+        }
+      }
+      di.snapshot()
+      di.override(IMailer, FakeMailer)
+      di.snapshot()
+      di.override(IMailer, OtherMailer)
+      expect(di.get(IMailer) instanceof OtherMailer).toBeTruthy()
+
+      di.restore()
+      expect(di.get(IMailer) instanceof FakeMailer).toBeTruthy()
+      di.restore()
+      expect(di.get(IMailer) instanceof SmtpMailer).toBeTruthy()
+    })
+
+    it("should require a snapshot", () => {
+      expect(() => di.restore()).toThrowError(/no snapshot/)
+      expect(() => di.override(IMailer, FakeMailer)).toThrowError(/snapshot/)
+    })
+
+    it("should reject invalid replacements", () => {
+      di.snapshot()
+
+      expect(() => di.override(IMailer, IMailer)).toThrow()
+      expect(() => di.override(IMailer, {})).toThrowError(TypeError)
+      expect(() => {
+        di.override(IMailer, DependencyInjector.lazy(FakeMailer))
+      }).toThrowError(TypeError)
+    })
+  })
+
+  describe("interceptors", () => {
+    class IRepository {}
+    class Repository {
+      constructor() {
+        this.items = []
+      }
+
+      add(item) {
+        this.items.push(item)
+        return this.items.length
+      }
+
+      load(id) {
+        return Promise.resolve({id})
+      }
+
+      static get dependencies() {
+        return []
+      }
+    }
+
+    beforeEach(() => {
+      di.setImplementation(IRepository, Repository)
+    })
+
+    it("should run the interceptor around the method calls", () => {
+      let invocations = []
+      di.intercept(IRepository, (invocation) => {
+        invocations.push(invocation)
+        return invocation.proceed() * 10
+      })
+
+      let repository = di.get(IRepository)
+      expect(repository.add("item")).toBe(10)
+      expect(repository.items).toEqual(["item"])
+      expect(invocations.length).toBe(1)
+      expect(invocations[0].target instanceof Repository).toBeTruthy()
+      expect(invocations[0].targetClass).toBe(Repository)
+      expect(invocations[0].methodName).toBe("add")
+      expect(invocations[0].args).toEqual(["item"])
+    })
+
+    it("should run the interceptors in the order of their registration",
+        () => {
+      let log = []
+      let parentInterceptor = (invocation) => {
+        log.push("parent")
+        return invocation.proceed()
+      }
+      di.interceptMatching(
+        implementation => implementation === Repository,
+        parentInterceptor
+      )
+      let child = di.createChild()
+      child.intercept(Repository, (invocation) => {
+        log.push("first")
+        invocation.args[0] = "changed"
+        return invocation.proceed()
+      })
+      child.intercept(IRepository, (invocation) => {
+        log.push("second")
+        return invocation.proceed()
+      })
+
+      let repository = child.get(IRepository)
+      repository.add("item")
+      expect(log).toEqual(["parent", "first", "second"])
+      expect(repository.items).toEqual(["changed"])
+      expect(di.get(Repository)).not.toBe(repository)
+    })
+
+    it("should intercept the asynchronous methods", (done) => {
+      di.intercept(IRepository, (invocation) => {
+        return invocation.proceed().then(entity => Object.assign(entity, {
+          intercepted: true
+        }))
+      })
+
+      di.getAsync(IRepository).then(repository => repository.load(1))
+          .then((entity) => {
+        expect(entity).toEqual({id: 1, intercepted: true})
+        done()
+      }).catch(done.fail)
+    })
+
+    it("should allow the interceptors to skip or repeat the call", () => {
+      let cache = new Map()
+      di.intercept(IRepository, (invocation) => {
+        if (invocation.methodName !== "add") {
+          return invocation.proceed()
+        }
+        if (!cache.has(invocation.args[0])) {
+          invocation.proceed()
+          cache.set(invocation.args[0], invocation.proceed())
+        }
+        return cache.get(invocation.args[0])
+      })
+
+      let repository = di.create(IRepository)
+      expect(repository.add("a")).toBe(2)
+      expect(repository.add("a")).toBe(2)
+      expect(repository.items).toEqual(["a", "a"])
+    })
+
+    it("should not wrap the instances without matching interceptors", () => {
+      class Other {
+        static get dependencies() {
+          return []
+        }
+      }
+      let called = false
+      di.interceptMatching(() => false, () => {
+        called = true
+      })
+      di.intercept(Other, invocation => invocation.proceed())
+
+      di.get(IRepository).add("item")
+      expect(called).toBe(false)
+    })
+
+    it("should keep the identity of the intercepted methods", () => {
+      di.intercept(IRepository, invocation => invocation.proceed())
+      let repository = di.get(IRepository)
+
+      expect(repository.add).toBe(repository.add)
+      expect(repository instanceof Repository).toBeTruthy()
+    })
+
+    it("should reject invalid interceptors and predicates", () => {
+      expect(() => di.intercept(IRepository, null)).toThrowError(TypeError)
+      expect(() => {
+        di.interceptMatching(null, invocation => invocation.proceed())
+      }).toThrowError(TypeError)
+    })
+  })
+
+  describe("instrumentation hooks", () => {
+    class Dependency {
+      static get dependencies() {
+        return []
+      }
+    }
+    class Implementation {
+      static get dependencies() {
+        return [Dependency]
+      }
+    }
+
+    it("should notify the resolve and create listeners", () => {
+      let events = []
+      di.onResolve(event => events.push(["resolve", event]))
+      di.onCreate(event => events.push(["create", event]))
+
+      let instance = di.get(Implementation)
+      di.get(Implementation)
+      expect(events.map(([type, event]) => [type, event.token])).toEqual([
+        ["resolve", Implementation],
+        ["resolve", Dependency],
+        ["create", Dependency],
+        ["create", Implementation],
+        ["resolve", Implementation]
+      ])
+      expect(events[1][1].path).toEqual([[Implementation]])
+      expect(events[3][1].instance).toBe(instance)
+      expect(events[3][1].implementation).toBe(Implementation)
+      expect(events[3][1].path).toEqual([[Implementation]])
+      expect(typeof events[3][1].constructionTime).toBe("number")
+    })
+
+    it("should notify the listeners of the ancestors", () => {
+      let resolved = []
+      di.onResolve(event => resolved.push(event.token))
+      let child = di.createChild()
+
+      child.get(Dependency)
+      expect(resolved).toEqual([Dependency])
+    })
+
+    it("should notify the create listeners about the factories", () => {
+      let created = []
+      di.onCreate(event => created.push(event))
+      di.registerFactory("answer", () => 42)
+
+      di.get("answer")
+      expect(created.length).toBe(1)
+      expect(created[0].implementation).toBe("answer")
+      expect(created[0].instance).toBe(42)
+    })
+
+    it("should notify the dispose listeners", () => {
+      let disposed = []
+      di.onDispose(event => disposed.push(event.instance))
+      let instance = di.get(Implementation)
+      let dependency = di.get(Dependency)
+
+      di.clear()
+      expect(disposed).toEqual([instance, dependency])
+    })
+
+    it("should allow unregistering the listeners", () => {
+      let resolved = []
+      let unsubscribe = di.onResolve(event => resolved.push(event.token))
+      unsubscribe()
+      unsubscribe()
+
+      di.get(Dependency)
+      expect(resolved).toEqual([])
+    })
+
+    it("should pass the warnings to the listeners and the logger", () => {
+      class Unconfigured {}
+      let warnings = []
+      let logger = {
+        warn(message) {
+          warnings.push(message)
+        }
+      }
+      let events = []
+      di = new DependencyInjector({logger})
+      di.onWarning(event => events.push(event))
+
+      di.createChild().get(Unconfigured)
+      expect(warnings.length).toBe(1)
+      expect(warnings[0]).toMatch(/No dependencies were provided/)
+      expect(events.length).toBe(1)
+      expect(events[0].message).toBe(warnings[0])
+      expect(events[0].token).toBe(Unconfigured)
+      expect(events[0].implementation).toBe(Unconfigured)
+    })
+
+    it("should report the errors of the listeners as warnings", () => {
+      let warnings = []
+      let logger = {
+        warn(message) {
+          warnings.push(message)
+        }
+      }
+      let events = []
+      di = new DependencyInjector({logger})
+      di.onCreate(() => {
+        throw new Error("broken listener")
+      })
+      di.onWarning(event => events.push(event))
+      di.onWarning(() => {
+        throw new Error("broken warning listener")
+      })
+
+      let instance = di.get(Dependency)
+      expect(di.get(Dependency)).toBe(instance)
+      expect(events.length).toBe(1)
+      expect(events[0].message).toBe("A listener of the create event has " +
+          "thrown an error: Error: broken listener")
+      expect(events[0].token).toBe(Dependency)
+      expect(warnings).toEqual([
+        "A listener of the warning event has thrown an error: Error: " +
+            "broken warning listener",
+        events[0].message
+      ])
+    })
+
+    it("should reject listeners that are not functions", () => {
+      expect(() => di.onCreate(null)).toThrowError(TypeError)
+    })
+  })
+
+  describe("errors", () => {
+    it("should export the error classes", () => {
+      expect(ExportedConfigurationError).toBe(ConfigurationError)
+      expect(ExportedCycleError).toBe(CycleError)
+      expect(ExportedResolutionError).toBe(ResolutionError)
+    })
+
+    it("should report conflicting configuration using ConfigurationError",
+        () => {
+      class IStorage {}
+      class MemoryStorage {}
+      di.setImplementation(IStorage, MemoryStorage)
+
+      let error
+      try {
+        di.setImplementation(IStorage, class {})
+      } catch (thrownError) {
+        error = thrownError
+      }
+
+      expect(error instanceof ConfigurationError).toBe(true)
+      expect(error.name).toBe("ConfigurationError")
+      expect(error.interfaceConstructor).toBe(IStorage)
+      expect(error.classConstructor).toBeNull()
+    })
+
+    it("should name the class configured after being instantiated", () => {
+      class Service {
+        static get dependencies() {
+          return []
+        }
+      }
+      di.get(Service)
+
+      expect(() => {
+        di.configure(Service)
+      }).toThrowError(ConfigurationError, "The Service class cannot have " +
+          "its default dependencies reconfigured since an instance has " +
+          "already been created")
+    })
+
+    it("should describe the failed resolution using ResolutionError", () => {
+      class IStorage {}
+      class Service {
+        static get dependencies() {
+          return [IStorage]
+        }
+      }
+      di.declareInterface(IStorage)
+
+      let error
+      try {
+        di.get(Service)
+      } catch (thrownError) {
+        error = thrownError
+      }
+
+      expect(error instanceof ResolutionError).toBe(true)
+      expect(error.path).toEqual([[Service], [IStorage]])
+      expect(error.classConstructor).toBe(IStorage)
+      expect(error.cause).toBeNull()
+    })
+
+    it("should report the resolved interface of the failed class",
+        (done) => {
+      class IService {}
+      class Service {
+        constructor() {
+          throw new Error("boom")
+        }
+
+        static get dependencies() {
+          return []
+        }
+      }
+      di.setImplementation(IService, Service)
+
+      di.getAsync(IService).then(done.fail, (error) => {
+        expect(error instanceof ResolutionError).toBe(true)
+        expect(error.interfaceConstructor).toBe(IService)
+        expect(error.classConstructor).toBe(Service)
+        expect(error.cause.message).toBe("boom")
+        done()
+      })
+    })
+
+    it("should report the consumer and the interface of a missing named " +
+        "implementation", () => {
+      class IStorage {}
+      class Service {
+        static get dependencies() {
+          return [DependencyInjector.named(IStorage, "cache")]
+        }
+      }
+
+      let error
+      try {
+        di.get(Service)
+      } catch (thrownError) {
+        error = thrownError
+      }
+
+      expect(error instanceof ResolutionError).toBe(true)
+      expect(error.interfaceConstructor).toBe(IStorage)
+      expect(error.classConstructor).toBe(Service)
+    })
+
+    it("should propagate the errors of the constructors in get()", () => {
+      class Service {
+        constructor() {
+          throw new TypeError("boom")
+        }
+
+        static get dependencies() {
+          return []
+        }
+      }
+
+      expect(() => di.get(Service)).toThrowError(TypeError, "boom")
+    })
+
+    it("should make CycleError a ResolutionError", () => {
+      class A {
+        static get dependencies() {
+          return [A]
+        }
+      }
+
+      expect(() => di.get(A)).toThrowError(ResolutionError)
+      expect(() => di.get(A)).toThrowError(CycleError)
+    })
+  })
+
+  describe("strict mode", () => {
+    class Unconfigured {}
+
+    it("should reject creating classes without dependencies", () => {
+      di = new DependencyInjector({strict: true})
+
+      expect(() => {
+        di.get(Unconfigured)
+      }).toThrowError(ResolutionError, /^Cannot resolve Unconfigured: No dep/)
+    })
+
+    it("should be inherited by child dependency injectors", () => {
+      di = new DependencyInjector({strict: true})
+
+      expect(() => {
+        di.createChild().get(Unconfigured)
+      }).toThrowError(ResolutionError)
+    })
+
+    it("should not affect classes with declared dependencies", () => {
+      class Service {
+        constructor(url) {
+          this.url = url
+        }
+      }
+      class Client {
+        static get dependencies() {
+          return []
+        }
+      }
+      di = new DependencyInjector({strict: true})
+      di.configure(Service, "/api")
+
+      expect(di.get(Service).url).toBe("/api")
+      expect(di.get(Client) instanceof Client).toBe(true)
+    })
+  })
+
+  describe("clear", () => {
+    it("should clear the cache of shared instances", () => {
+      class Implementation {}
+      di.configure(Implementation, 1)
+
+      let instance = di.get(Implementation)
+      di.clear()
       expect(di.get(Implementation)).not.toBe(instance)
     })
+
+    it("should dispose the instances in reverse dependency order", () => {
+      let disposed = []
+      class Dependency {
+        dispose() {
+          disposed.push(this)
+        }
+      }
+      class Implementation {
+        dispose() {
+          disposed.push(this)
+        }
+
+        static get dependencies() {
+          return [Dependency]
+        }
+      }
+      class Plain {}
+      di.configure(Dependency, 0)
+      di.configure(Plain, 0)
+
+      let plain = di.get(Plain)
+      let instance = di.get(Implementation)
+      di.clear()
+
+      expect(disposed).toEqual([instance, di.get(Dependency)])
+      expect(disposed[1]).not.toBe(di.get(Dependency))
+      expect(di.get(Plain)).not.toBe(plain)
+    })
+
+    it("should use the configured dispose method name", () => {
+      class Implementation {
+        close() {
+          this.closed = true
+        }
+      }
+      di.configure(Implementation, 0)
+      di.disposeMethodName = "close"
+
+      let instance = di.get(Implementation)
+      di.clear()
+
+      expect(di.disposeMethodName).toBe("close")
+      expect(instance.closed).toBe(true)
+    })
+
+    it("should report all failed disposals", () => {
+      let disposed = false
+      class First {
+        dispose() {
+          disposed = true
+        }
+      }
+      class Second {
+        dispose() {
+          throw new Error("second")
+        }
+      }
+      class Third {
+        dispose() {
+          throw new Error("third")
+        }
+      }
+      di.configure(First, 0)
+      di.configure(Second, 0)
+      di.configure(Third, 0)
+
+      di.get(First)
+      let second = di.get(Second)
+      di.get(Third)
+
+      let error
+      try {
+        di.clear()
+      } catch (e) {
+        error = e
+      }
+
+      expect(error instanceof DisposalError).toBeTruthy()
+      expect(error.message).toBe(
+          "Failed to dispose 2 shared instances: third; second")
+      expect(error.errors.map(e => e.message)).toEqual(["third", "second"])
+      expect(error.failures[1].instance).toBe(second)
+      expect(disposed).toBe(true)
+    })
+  })
+
+  describe("clearAsync", () => {
+    it("should wait for each disposal in reverse dependency order",
+        (done) => {
+      let log = []
+      class Dependency {
+        dispose() {
+          log.push("dependency")
+        }
+      }
+      class Implementation {
+        dispose() {
+          return new Promise(resolve => setTimeout(() => {
+            log.push("implementation")
+            resolve()
+          }, 0))
+        }
+
+        static get dependencies() {
+          return [Dependency]
+        }
+      }
+      di.configure(Dependency, 0)
+
+      di.getAsync(Implementation).then(() => di.clearAsync()).then(() => {
+        expect(log).toEqual(["implementation", "dependency"])
+        done()
+      }).catch(done.fail)
+    })
+
+    it("should dispose the instances that are still being created",
+        (done) => {
+      let disposed = false
+      class Implementation {
+        dispose() {
+          disposed = true
+        }
+      }
+      di.configure(Implementation, 0)
+
+      di.getAsync(Implementation)
+      di.clearAsync().then(() => {
+        expect(disposed).toBe(true)
+        done()
+      }).catch(done.fail)
+    })
+
+    it("should reject with all failed disposals", (done) => {
+      class First {
+        dispose() {
+          return Promise.reject(new Error("first"))
+        }
+      }
+      class Second {
+        dispose() {
+          throw new Error("second")
+        }
+      }
+      di.configure(First, 0)
+      di.configure(Second, 0)
+      di.get(First)
+      di.get(Second)
+
+      di.clearAsync().then(() => {
+        done.fail("The promise should have been rejected")
+      }, (error) => {
+        expect(error instanceof DisposalError).toBeTruthy()
+        expect(error.errors.map(e => e.message)).toEqual(["second", "first"])
+        done()
+      }).catch(done.fail)
+    })
+  })
+
+  describe("describe", () => {
+    class IStorage {}
+    class MemoryStorage {}
+    class Logger {}
+    class Service {
+      static get dependencies() {
+        return [IStorage, DependencyInjector.lazy(Logger), "apiUrl", 42]
+      }
+    }
+
+    beforeEach(() => {
+      di.setImplementation(IStorage, MemoryStorage)
+      di.configure(MemoryStorage, 0)
+      di.configure(Logger, 0)
+      di.registerValue("apiUrl", "/api")
+      di.setLifetime(Logger, Lifetime.TRANSIENT)
+    })
+
+    it("should describe the configured and reachable nodes", () => {
+      di.get(MemoryStorage)
+      let graph = di.describe()
+      let nodes = {}
+      graph.nodes.forEach(node => nodes[node.name] = node)
+
+      expect(Object.keys(nodes).sort()).toEqual([
+        "\"apiUrl\"",
+        "IStorage",
+        "Logger",
+        "MemoryStorage"
+      ])
+      expect(nodes.IStorage.type).toBe("interface")
+      expect(nodes.IStorage.implementationChain).toEqual([
+        nodes.IStorage.id,
+        nodes.MemoryStorage.id
+      ])
+      expect(nodes.IStorage.sharedInstance).toBe(true)
+      expect(nodes.MemoryStorage.type).toBe("class")
+      expect(nodes.MemoryStorage.dependencySource).toBe("configured")
+      expect(nodes.Logger.lifetime).toBe(Lifetime.TRANSIENT)
+      expect(nodes.Logger.sharedInstance).toBe(false)
+      expect(nodes["\"apiUrl\""].type).toBe("value")
+    })
+
+    it("should describe the implementations and dependencies", () => {
+      class Consumer {}
+      class SpecialStorage {}
+      di.configure(Consumer, Service, Logger)
+      di.setImplementation(IStorage, SpecialStorage, {consumer: Consumer})
+      let graph = di.describe()
+      let ids = {}
+      graph.nodes.forEach(node => ids[node.name] = node.id)
+
+      expect(graph.nodes.filter(node => node.name === "Service")[0]).toEqual(
+        jasmine.objectContaining({
+          type: "class",
+          dependencySource: "static",
+          lifetime: Lifetime.SINGLETON,
+          sharedInstance: false
+        })
+      )
+      expect(graph.edges).toContain({
+        from: ids.IStorage,
+        to: ids.MemoryStorage,
+        type: "implementation"
+      })
+      expect(graph.edges).toContain({
+        from: ids.IStorage,
+        to: ids.SpecialStorage,
+        type: "implementation",
+        consumer: ids.Consumer
+      })
+      expect(graph.edges).toContain({
+        from: ids.Consumer,
+        to: ids.Service,
+        type: "dependency",
+        index: 0
+      })
+      expect(graph.edges).toContain({
+        from: ids.Service,
+        to: ids.Logger,
+        type: "dependency",
+        index: 1,
+        marker: "lazy"
+      })
+      expect(graph.edges).toContain({
+        from: ids.Service,
+        to: ids["\"apiUrl\""],
+        type: "dependency",
+        index: 2
+      })
+      expect(graph.edges.filter(edge => edge.index === 3).length).toBe(0)
+    })
+
+    it("should not instantiate anything", () => {
+      let instantiated = false
+      class Implementation {
+        constructor() {
+          instantiated = true
+        }
+      }
+      di.configure(Implementation, 0)
+      di.registerFactory("factory", () => {
+        instantiated = true
+      })
+
+      di.describe()
+      expect(instantiated).toBe(false)
+    })
+
+    it("should include the configuration of the ancestors", () => {
+      class Extra {}
+      let child = di.createChild()
+      child.configure(Extra, IStorage)
+
+      let names = child.describe().nodes.map(node => node.name)
+      expect(names).toContain("IStorage")
+      expect(names).toContain("MemoryStorage")
+      expect(names).toContain("Extra")
+      expect(di.describe().nodes.map(node => node.name)).not.toContain("Extra")
+    })
+
+    it("should export the graph as plain JSON data", () => {
+      let graph = di.describe()
+      let data = JSON.parse(JSON.stringify(graph))
+
+      expect(data).toEqual(graph.toJSON())
+      expect(data.nodes.length).toBe(graph.nodes.length)
+      expect(data.edges.length).toBe(graph.edges.length)
+    })
+
+    it("should export the graph in the DOT language", () => {
+      class Consumer {}
+      di.configure(Consumer, Service)
+      let graph = di.describe()
+      let ids = {}
+      graph.nodes.forEach(node => ids[node.name] = node.id)
+      let dot = graph.toDot()
+
+      expect(dot.split("\n")[0]).toBe("digraph dependencies {")
+      expect(dot).toContain(
+        `"${ids.IStorage}" [label="IStorage\\nsingleton", shape="ellipse"];`
+      )
+      expect(dot).toContain(
+        `"${ids["\"apiUrl\""]}" [label="\\"apiUrl\\"\\nsingleton", ` +
+        "shape=\"note\"];"
+      )
+      expect(dot).toContain(
+        `"${ids.IStorage}" -> "${ids.MemoryStorage}" ` +
+        "[label=\"implements\", style=\"dashed\"];"
+      )
+      expect(dot).toContain(
+        `"${ids.Service}" -> "${ids.Logger}" ` +
+        "[label=\"#1 (lazy)\", style=\"dotted\"];"
+      )
+      expect(dot.split("\n").pop()).toBe("}")
+    })
+  })
+
+  describe("install", () => {
+    it("should register the bindings of the module", () => {
+      class IStorage {}
+      class MemoryStorage {}
+      di.install({
+        name: "storage",
+        configure(dependencyInjector) {
+          dependencyInjector.configure(MemoryStorage, 0)
+          dependencyInjector.setImplementation(IStorage, MemoryStorage)
+        }
+      })
+
+      expect(di.get(IStorage) instanceof MemoryStorage).toBe(true)
+    })
+
+    it("should install every module at most once", () => {
+      let configureCount = 0
+      let module = {
+        configure() {
+          configureCount++
+        }
+      }
+
+      di.install(module)
+      di.install(module)
+      di.install({
+        requires: [module],
+        configure() {}
+      })
+
+      expect(configureCount).toBe(1)
+    })
+
+    it("should install the required modules first", () => {
+      let installed = []
+      let common = {
+        configure() {
+          installed.push("common")
+        }
+      }
+      let storage = {
+        requires: [common],
+        configure() {
+          installed.push("storage")
+        }
+      }
+      let app = {
+        requires: [storage, common],
+        configure() {
+          installed.push("app")
+        }
+      }
+
+      di.install(app)
+
+      expect(installed).toEqual(["common", "storage", "app"])
+    })
+
+    it("should accept a class as a module", () => {
+      class Service {}
+      class ServiceModule {
+        static configure(dependencyInjector) {
+          dependencyInjector.configure(Service, 0)
+        }
+      }
+
+      di.install(ServiceModule)
+
+      expect(di.get(Service) instanceof Service).toBe(true)
+    })
+
+    it("should skip the modules installed in the parent injector", () => {
+      let configureCount = 0
+      let module = {
+        configure() {
+          configureCount++
+        }
+      }
+      di.install(module)
+
+      di.createChild().install(module)
+
+      expect(configureCount).toBe(1)
+    })
+
+    it("should report the conflicting modules", () => {
+      class IStorage {}
+      class MemoryStorage {}
+      class DiskStorage {}
+      di.install({
+        name: "MemoryModule",
+        configure(dependencyInjector) {
+          dependencyInjector.setImplementation(IStorage, MemoryStorage)
+        }
+      })
+
+      expect(() => {
+        di.install({
+          name: "DiskModule",
+          configure(dependencyInjector) {
+            dependencyInjector.setImplementation(IStorage, DiskStorage)
+          }
+        })
+      }).toThrowError(
+        "The DiskModule module conflicts with the MemoryModule module: The " +
+        "implementation of the IStorage interface is already set to the " +
+        "MemoryStorage class"
+      )
+    })
+
+    it("should report the module owning a conflicting binding", () => {
+      class Service {}
+      di.install({
+        name: "ServiceModule",
+        configure(dependencyInjector) {
+          dependencyInjector.configure(Service, 1)
+        }
+      })
+
+      expect(() => {
+        di.configure(Service, 2)
+      }).toThrowError(/conflicts with the ServiceModule module: /)
+    })
+
+    it("should revert the bindings of a module that fails to install",
+        () => {
+      class IStorage {}
+      class MemoryStorage {}
+      class Service {}
+      let storageInstallCount = 0
+      let storage = {
+        name: "storage",
+        configure(dependencyInjector) {
+          storageInstallCount++
+          dependencyInjector.setImplementation(IStorage, MemoryStorage)
+        }
+      }
+      let app = {
+        name: "app",
+        requires: [storage],
+        configure(dependencyInjector) {
+          dependencyInjector.configure(Service, 1)
+          throw new Error("failed")
+        }
+      }
+
+      expect(() => di.install(app)).toThrowError("failed")
+
+      expect(() => di.configure(Service, 2)).not.toThrow()
+      expect(() => di.install(storage)).not.toThrow()
+      expect(storageInstallCount).toBe(2)
+    })
+
+    it("should reject cyclic module requirements", () => {
+      let first = {name: "first", configure() {}}
+      let second = {name: "second", requires: [first], configure() {}}
+      first.requires = [second]
+
+      expect(() => {
+        di.install(first)
+      }).toThrowError("Detected a cycle in the module dependencies: first " +
+          "-> second -> first")
+    })
+
+    it("should reject modules without the configure method", () => {
+      expect(() => {
+        di.install({name: "invalid"})
+      }).toThrowError(TypeError)
+    })
+  })
+
+  describe("validate", () => {
+    it("should return no problems for a valid configuration", () => {
+      class IStorage {}
+      class MemoryStorage {
+        static get dependencies() {
+          return []
+        }
+      }
+      class Service {
+        constructor(storage, url) {}
+
+        static get dependencies() {
+          return [IStorage, "apiUrl"]
+        }
+      }
+      di.declareInterface(IStorage)
+      di.setImplementation(IStorage, MemoryStorage)
+      di.registerValue("apiUrl", "/api")
+
+      expect(di.validate([Service])).toEqual([])
+    })
+
+    it("should report missing implementations", () => {
+      class IStorage {}
+      class IMailer {}
+      class Service {
+        constructor(storage, mailer) {}
+
+        static get dependencies() {
+          return [IStorage, DependencyInjector.named(IMailer, "smtp")]
+        }
+      }
+      di.declareInterface(IStorage)
+
+      let problems = di.validate([Service])
+      expect(problems.map(problem => problem.type)).toEqual([
+        ProblemType.MISSING_IMPLEMENTATION,
+        ProblemType.MISSING_IMPLEMENTATION
+      ])
+      expect(problems[0].path).toEqual([[Service], [IStorage]])
+      expect(problems[0].message).toMatch(/Service -> IStorage/)
+      expect(problems[1].message).toMatch(/IMailer interface named "smtp"/)
+    })
+
+    it("should report dependency cycles", () => {
+      class A {
+        constructor(b) {}
+
+        static get dependencies() {
+          return [B]
+        }
+      }
+      class B {
+        constructor(a) {}
+
+        static get dependencies() {
+          return [A]
+        }
+      }
+
+      let problems = di.validate([A])
+      expect(problems.length).toBe(1)
+      expect(problems[0].type).toBe(ProblemType.CYCLE)
+      expect(problems[0].path).toEqual([[A], [B], [A]])
+      expect(problems[0].message).toMatch(/A -> B -> A/)
+    })
+
+    it("should not report cycles broken by lazy dependencies", () => {
+      class A {
+        constructor(b) {}
+
+        static get dependencies() {
+          return [DependencyInjector.lazy(B)]
+        }
+      }
+      class B {
+        constructor(a) {}
+
+        static get dependencies() {
+          return [A]
+        }
+      }
+
+      expect(di.validate([A])).toEqual([])
+    })
+
+    it("should report cycles reachable through lazy dependencies", () => {
+      class A {
+        constructor(b, c) {}
+      }
+      class B {
+        constructor(c) {}
+      }
+      class C {
+        constructor(a) {}
+      }
+      di.configure(A, DependencyInjector.lazy(B), C)
+      di.configure(B, C)
+      di.configure(C, A)
+
+      let problems = di.validate([A])
+      expect(problems.length).toBe(1)
+      expect(problems[0].type).toBe(ProblemType.CYCLE)
+      expect(problems[0].path).toEqual([[A], [C], [A]])
+    })
+
+    it("should report classes without dependencies", () => {
+      class Unconfigured {}
+
+      let problems = di.validate([Unconfigured])
+      expect(problems.length).toBe(1)
+      expect(problems[0].type).toBe(ProblemType.NO_DEPENDENCIES)
+      expect(problems[0].message).toMatch(/dependencies static property/)
+    })
+
+    it("should report arity mismatches", () => {
+      class Dependency {
+        static get dependencies() {
+          return []
+        }
+      }
+      class Implementation {
+        constructor(first, second) {}
+      }
+      di.configure(Implementation, Dependency)
+
+      let problems = di.validate([Implementation])
+      expect(problems.length).toBe(1)
+      expect(problems[0].type).toBe(ProblemType.ARITY_MISMATCH)
+      expect(problems[0].message).toMatch(
+        /has 1 configured dependencies, but its constructor declares 2/
+      )
+    })
+
+    it("should allow parameters with default values and rest parameters",
+        () => {
+      class Dependency {
+        static get dependencies() {
+          return []
+        }
+      }
+      class Implementation {
+        constructor(first, second = null) {}
+      }
+      class Aggregate {
+        constructor(...parts) {}
+      }
+      di.configure(Implementation, Dependency, Dependency)
+      di.configure(Aggregate, Dependency, Dependency, Dependency)
+
+      expect(di.validate([Implementation, Aggregate])).toEqual([])
+    })
+
+    it("should validate the property and optional dependencies", () => {
+      class IStorage {}
+      class Logger {}
+      class Service {
+        static get dependencies() {
+          return [DependencyInjector.optional(IStorage)]
+        }
+
+        static get injectProperties() {
+          return {logger: Logger}
+        }
+      }
+      di.declareInterface(IStorage)
+
+      let problems = di.validate([Service])
+      expect(problems.map(problem => problem.type)).toEqual([
+        ProblemType.NO_DEPENDENCIES
+      ])
+      expect(problems[0].path).toEqual([[Service], [Logger]])
+    })
+
+    it("should not instantiate anything", () => {
+      let instantiated = false
+      class Implementation {
+        constructor() {
+          instantiated = true
+        }
+      }
+      di.configure(Implementation, 0)
+
+      di.validate([Implementation])
+      expect(instantiated).toBe(false)
+    })
   })
 
   it("should allow configuring the \"default dependencies\" property name",
@@ -0,0 +1,106 @@
+import DependencyInjector from "../es2015/DependencyInjector"
+import Lifetime from "../es2015/Lifetime"
+import Profiler from "../es2015/Profiler"
+
+describe("Profiler", () => {
+
+  class IStorage {}
+  class Storage {
+    static get dependencies() {
+      return []
+    }
+  }
+  class Logger {
+    static get dependencies() {
+      return []
+    }
+  }
+  class Service {
+    static get dependencies() {
+      return [IStorage, Logger]
+    }
+  }
+
+  let di
+  let profiler
+
+  beforeEach(() => {
+    di = new DependencyInjector()
+    di.setImplementation(IStorage, Storage)
+    profiler = new Profiler(di)
+  })
+
+  it("should record the resolution tree of each request", () => {
+    di.get(Service)
+    di.get(Logger)
+
+    let [service, logger] = profiler.resolutions
+    expect(profiler.resolutions.length).toBe(2)
+    expect(service.token).toBe(Service)
+    expect(service.created).toBe(true)
+    expect(service.children.map(node => node.name)).toEqual([
+      "IStorage(Storage)",
+      "Logger"
+    ])
+    expect(service.children[0].implementation).toBe(Storage)
+    expect(service.children[0].created).toBe(true)
+    expect(logger.token).toBe(Logger)
+    expect(logger.created).toBe(false)
+    expect(logger.children).toEqual([])
+  })
+
+  it("should record the instances created on request as roots", () => {
+    di.get(Service)
+    di.create(Service)
+
+    let [, created] = profiler.resolutions
+    expect(profiler.resolutions.length).toBe(2)
+    expect(profiler.resolutions[0].children.length).toBe(2)
+    expect(created.token).toBe(Service)
+    expect(created.created).toBe(true)
+    expect(created.children.map(node => node.name)).toEqual([
+      "IStorage(Storage)",
+      "Logger"
+    ])
+    expect(created.children[0].created).toBe(false)
+  })
+
+  it("should record the construction times per class", () => {
+    di.setLifetime(Logger, Lifetime.TRANSIENT)
+    di.get(Service)
+    di.get(Logger)
+
+    let times = profiler.getConstructionTimes()
+    let logger = times.filter(time => time.implementation === Logger)[0]
+    expect(times.length).toBe(3)
+    expect(logger.name).toBe("Logger")
+    expect(logger.count).toBe(2)
+    expect(logger.totalTime >= 0).toBe(true)
+    times.slice(1).forEach((time, index) => {
+      expect(time.totalTime <= times[index].totalTime).toBe(true)
+    })
+  })
+
+  it("should record the activity of the child injectors", () => {
+    di.createChild().get(Logger)
+
+    expect(profiler.resolutions.map(node => node.token)).toEqual([Logger])
+  })
+
+  it("should stop recording", () => {
+    di.get(Logger)
+    profiler.stop()
+    di.get(Service)
+
+    expect(profiler.resolutions.length).toBe(1)
+    expect(profiler.getConstructionTimes().length).toBe(1)
+  })
+
+  it("should discard the recorded data on reset", () => {
+    di.get(Service)
+    profiler.reset()
+
+    expect(profiler.resolutions).toEqual([])
+    expect(profiler.getConstructionTimes()).toEqual([])
+  })
+})
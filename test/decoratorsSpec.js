@@ -0,0 +1,158 @@
+import DependencyInjector from "../es2015/DependencyInjector"
+import * as decorators from "../es2015/decorators"
+import {inject, injectable, implementsInterface} from "../es2015/decorators"
+import Lifetime from "../es2015/Lifetime"
+
+describe("decorators", () => {
+
+  let di
+
+  beforeEach(() => {
+    di = new DependencyInjector()
+  })
+
+  describe("inject", () => {
+    it("should declare the dependencies of the class", () => {
+      class Dependency {}
+      class Implementation {
+        constructor(dependency, value) {
+          this.dependency = dependency
+          this.value = value
+        }
+      }
+      inject()(Dependency)
+      inject(Dependency, 42)(Implementation)
+
+      let instance = di.get(Implementation)
+      expect(instance.dependency).toBe(di.get(Dependency))
+      expect(instance.value).toBe(42)
+    })
+
+    it("should take precedence over the static property", () => {
+      class Implementation {
+        constructor(value) {
+          this.value = value
+        }
+
+        static get dependencies() {
+          return ["static"]
+        }
+      }
+      inject("decorated")(Implementation)
+
+      expect(di.get(Implementation).value).toBe("decorated")
+    })
+
+    it("should be overridden by the configured dependencies", () => {
+      class Implementation {
+        constructor(value) {
+          this.value = value
+        }
+      }
+      inject("decorated")(Implementation)
+      di.configure(Implementation, "configured")
+
+      expect(di.get(Implementation).value).toBe("configured")
+    })
+
+    it("should not be inherited", () => {
+      class Parent {
+        constructor(value) {
+          this.value = value
+        }
+      }
+      class Child extends Parent {}
+      inject("parent")(Parent)
+      di.configure(Child, "child")
+
+      expect(di.get(Child).value).toBe("child")
+      expect(di.describe().nodes.filter(node => node.name === "Child")[0]
+          .dependencySource).toBe("configured")
+    })
+
+    it("should support the standard decorator context", () => {
+      class Implementation {
+        constructor(value) {
+          this.value = value
+        }
+      }
+      inject(1)(Implementation, {kind: "class", name: "Implementation"})
+
+      expect(di.get(Implementation).value).toBe(1)
+      expect(() => {
+        inject(1)(() => {}, {kind: "method", name: "foo"})
+      }).toThrowError(TypeError)
+      expect(() => inject(1)({})).toThrowError(TypeError)
+    })
+  })
+
+  describe("injectable", () => {
+    it("should declare the lifetime of the class", () => {
+      class Implementation {}
+      inject()(Implementation)
+      injectable({lifetime: Lifetime.TRANSIENT})(Implementation)
+
+      expect(di.get(Implementation)).not.toBe(di.get(Implementation))
+    })
+
+    it("should be overridden by the configured lifetime", () => {
+      class Implementation {}
+      inject()(Implementation)
+      injectable({lifetime: Lifetime.TRANSIENT})(Implementation)
+      di.setLifetime(Implementation, Lifetime.SINGLETON)
+
+      expect(di.get(Implementation)).toBe(di.get(Implementation))
+    })
+
+    it("should reject unknown lifetimes", () => {
+      expect(() => injectable({lifetime: "forever"})).toThrowError(TypeError)
+    })
+  })
+
+  describe("implements", () => {
+    it("should declare the default implementation of the interface", () => {
+      class IStorage {}
+      class Storage {}
+      class Consumer {}
+      inject()(Storage)
+      decorators.implements(IStorage)(Storage)
+      di.configure(Consumer, IStorage)
+
+      expect(di.get(IStorage) instanceof Storage).toBeTruthy()
+      let ids = {}
+      di.describe().nodes.forEach(node => ids[node.name] = node.id)
+      expect(di.describe().edges).toContain({
+        from: ids.IStorage,
+        to: ids.Storage,
+        type: "implementation"
+      })
+    })
+
+    it("should be overridden by the configured implementation", () => {
+      class IStorage {}
+      class Storage {}
+      class OtherStorage {}
+      inject()(Storage)
+      inject()(OtherStorage)
+      implementsInterface(IStorage)(Storage)
+      di.setImplementation(IStorage, OtherStorage)
+
+      expect(di.get(IStorage) instanceof OtherStorage).toBeTruthy()
+    })
+
+    it("should reject resolving ambiguous interfaces", () => {
+      class IStorage {}
+      class Storage {}
+      class OtherStorage {}
+      implementsInterface(IStorage)(Storage)
+      implementsInterface(IStorage)(OtherStorage)
+
+      expect(() => di.get(IStorage)).toThrowError(
+        /multiple implementations declared .*\(Storage, OtherStorage\)/
+      )
+      expect(di.validate([IStorage]).map(problem => problem.type)).toEqual([
+        "missingImplementation"
+      ])
+    })
+  })
+})